@@ -4,14 +4,13 @@ import connectRoutes from '../src/connectRoutes'
 
 const setup = (
   path = '/',
-  options = { title: 'title', location: 'location' }
-) => {
-  const routesMap = {
+  options = { title: 'title', location: 'location' },
+  routesMap = {
     FIRST: '/first',
     SECOND: '/second/:param',
     THIRD: '/third'
   }
-
+) => {
   const history = createHistory({
     initialEntries: [path],
     initialIndex: 0,
@@ -24,18 +23,23 @@ const setup = (
 
 export default setup
 
-export const setupAll = (path, options, rootReducer, preLoadedState) => {
-  const tools = setup(path, options)
+// a custom `rootReducer` is passed the location reducer as its 3rd argument
+export const setupAll = (
+  path,
+  options,
+  { rootReducer: customReducer, preLoadedState, routesMap } = {}
+) => {
+  const tools = setup(path, options, routesMap)
   const { middleware, reducer, enhancer } = tools
   const middlewares = applyMiddleware(middleware)
   const enhancers = compose(enhancer, middlewares)
 
-  rootReducer =
-    rootReducer ||
-    ((state = {}, action = {}) => ({
+  const rootReducer = customReducer
+    ? (state, action) => customReducer(state, action, reducer)
+    : (state = {}, action = {}) => ({
       location: reducer(state.location, action),
       title: action.type
-    }))
+    })
 
   const store = createStore(rootReducer, preLoadedState, enhancers)
   return {
@@ -1,3 +1,4 @@
 // the history package generates keys for history entries using Math.random
-// this makes it deterministic (note: it can be anything since we dont use it)
+// this makes it deterministic (tests of the session history, which tells entries
+// apart by their keys, temporarily generate unique ones)
 global.Math.random = () => '123456789'
@@ -2,7 +2,7 @@ import { createStore, applyMiddleware, compose, combineReducers } from 'redux'
 import createHistory from 'history/createMemoryHistory'
 import connectRoutes from '../src/connectRoutes'
 
-export default (path = '/', thunkArg) => {
+export default (path = '/', thunkArg, options) => {
   const routesMap = {
     FIRST: '/first',
     SECOND: { path: '/second/:param', thunk: thunkArg },
@@ -15,7 +15,8 @@ export default (path = '/', thunkArg) => {
 
   const { middleware, enhancer, thunk, reducer, history } = connectRoutes(
     hist,
-    routesMap
+    routesMap,
+    options
   )
 
   const rootReducer = combineReducers({
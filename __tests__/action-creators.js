@@ -1,9 +1,17 @@
 import { createMemoryHistory } from 'history'
 
 import historyCreateAction from '../src/action-creators/historyCreateAction'
-import middlewareCreateAction
-  from '../src/action-creators/middlewareCreateAction'
+import middlewareCreateAction from '../src/action-creators/middlewareCreateAction'
 import redirect from '../src/action-creators/redirect'
+import createRouteActions from '../src/action-creators/createRouteActions'
+import createMatcher from '../src/pure-utils/createMatcher'
+import {
+  goBack,
+  goForward,
+  goBy,
+  pushPath,
+  replacePath
+} from '../src/action-creators/historyActions'
 import { NOT_FOUND } from '../src/index'
 
 it('historyCreateAction() - returns action created when history/address_bar chanages', () => {
@@ -108,3 +116,86 @@ it('redirect(action) - sets action.meta.location.kind === "redirect"', () => {
 
   expect(action.meta.location.kind).toEqual('redirect')
 })
+
+it('goBack/goForward/goBy/pushPath/replacePath - create actions performed on history by the middleware', () => {
+  expect(goBack()).toEqual({ type: '@@redux-first-router/BACK' })
+  expect(goForward()).toEqual({ type: '@@redux-first-router/NEXT' })
+  expect(goBy(-2)).toEqual({
+    type: '@@redux-first-router/GO',
+    payload: { n: -2 }
+  })
+  expect(pushPath('/foo')).toEqual({
+    type: '@@redux-first-router/PUSH_PATH',
+    payload: { path: '/foo' }
+  })
+  expect(replacePath('/foo')).toEqual({
+    type: '@@redux-first-router/REPLACE_PATH',
+    payload: { path: '/foo' }
+  })
+})
+
+describe('createRouteActions(routesMap)', () => {
+  const routesMap = {
+    HOME: '/',
+    USER: { path: '/user/:id', paramTypes: { id: 'int' } },
+    SEARCH: '/search/:term?',
+    ADMIN: { path: '/admin', routes: { ADMIN_USER: '/users/:id' } },
+    PRODUCT: { path: { en: '/products/:id', de: '/produkte/:id' } }
+  }
+
+  it('creates an action creator per route, nested routes included', () => {
+    const actions = createRouteActions(routesMap)
+
+    expect(Object.keys(actions).sort()).toEqual([
+      'ADMIN',
+      'ADMIN_USER',
+      'HOME',
+      'PRODUCT',
+      'SEARCH',
+      'USER'
+    ])
+    expect(actions.HOME()).toEqual({ type: 'HOME', payload: {} })
+    expect(actions.USER({ id: 5 })).toEqual({
+      type: 'USER',
+      payload: { id: 5 }
+    })
+    expect(actions.SEARCH()).toEqual({ type: 'SEARCH', payload: {} })
+
+    const meta = { query: { page: 2 } }
+    expect(actions.USER({ id: 5 }, meta)).toEqual({
+      type: 'USER',
+      payload: { id: 5 },
+      meta
+    })
+  })
+
+  it('throws when params required by the path of the route are missing', () => {
+    const { USER, ADMIN_USER } = createRouteActions(routesMap)
+
+    expect(() => USER()).toThrow('missing params for route "USER": id')
+    expect(() => USER({ id: null })).toThrow('missing params')
+    expect(() => ADMIN_USER({ name: 'jane' })).toThrow(
+      'missing params for route "ADMIN_USER": id'
+    )
+  })
+
+  it('exposes the `type` and `toPath` of each route', () => {
+    const { USER, ADMIN_USER, PRODUCT } = createRouteActions(
+      createMatcher(routesMap) // compiled matchers work too
+    )
+    const querySerializer = { stringify: () => 'page=2', parse: () => ({}) }
+
+    expect(USER.type).toEqual('USER')
+    expect(USER.toPath({ id: 5 })).toEqual('/user/5')
+    expect(ADMIN_USER.toPath({ id: 5 }, undefined, '/app')).toEqual(
+      '/app/admin/users/5'
+    )
+    expect(PRODUCT.toPath({ id: 'shoe' }, undefined, '', 'de')).toEqual(
+      '/produkte/shoe'
+    )
+    expect(USER.toPath({ id: 5, query: {} }, querySerializer)).toEqual(
+      '/user/5?page=2'
+    )
+    expect(() => USER.toPath({})).toThrow('missing params')
+  })
+})
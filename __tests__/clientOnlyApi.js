@@ -1,7 +1,14 @@
 import { createStore, applyMiddleware, compose } from 'redux'
+import { createBrowserHistory, createHashHistory } from 'history'
 
 import setup, { setupAll } from '../__test-helpers__/setup'
-import { push, replace, back, next } from '../src/connectRoutes'
+import connectRoutes, {
+  push,
+  replace,
+  back,
+  next,
+  canGoBack
+} from '../src/connectRoutes'
 
 it('push: verify client-only `push` function calls `history.push()` using history from enclosed state', () => {
   jest.useFakeTimers()
@@ -65,3 +72,116 @@ it('verify window.document is not used server side', () => {
 
   delete window.isSSR
 })
+
+it('push/back: the functions returned from `connectRoutes` are bound to their own router', () => {
+  const first = setupAll('/first')
+  const second = setupAll('/first')
+
+  first.push('/second/bar')
+  expect(first.store.getState().location.pathname).toEqual('/second/bar')
+  expect(second.store.getState().location.pathname).toEqual('/first')
+
+  second.push('/second/baz')
+  first.back()
+
+  expect(first.store.getState().location.pathname).toEqual('/first')
+  expect(second.store.getState().location.pathname).toEqual('/second/baz')
+  expect(second.canGoBack()).toEqual(true)
+  expect(second.prevPath()).toEqual('/first')
+  expect(first.nextPath()).toEqual('/second/bar')
+})
+
+it('imported client-only functions warn once when more than one router was created', () => {
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+
+  setupAll('/first')
+  const { store } = setupAll('/second/foo')
+
+  expect(canGoBack()).toEqual(false) // still applies to the last router
+  expect(canGoBack()).toEqual(false)
+
+  const messages = warn.mock.calls.map(([message]) => message)
+  const warnings = messages.filter(message => /`canGoBack`/.test(message))
+
+  expect(warnings.length).toEqual(1)
+  expect(warnings[0]).toMatch('returned from `connectRoutes`')
+  expect(store.getState().location.type).toEqual('SECOND')
+
+  warn.mockRestore()
+})
+
+it('canGoBack/prevPath + `location.history`: work with browser histories, whose entries are tracked for the session', () => {
+  const history = createBrowserHistory()
+  history.replace('/first')
+
+  const {
+    middleware,
+    enhancer,
+    reducer,
+    canGoBack,
+    prevPath
+  } = connectRoutes(history, { FIRST: '/first', SECOND: '/second/:param' })
+  const rootReducer = (state = {}, action = {}) => ({
+    location: reducer(state.location, action)
+  })
+  const store = createStore(
+    rootReducer,
+    compose(enhancer, applyMiddleware(middleware))
+  )
+
+  expect(canGoBack()).toEqual(false)
+  expect(store.getState().location.history.length).toEqual(1)
+
+  store.dispatch({ type: 'SECOND', payload: { param: 'bar' } })
+
+  expect(canGoBack()).toEqual(true)
+  expect(prevPath()).toEqual('/first')
+
+  const { index, length, entries } = store.getState().location.history
+  expect(index).toEqual(1)
+  expect(length).toEqual(2)
+  expect(entries.map(entry => entry.pathname)).toEqual([
+    '/first',
+    '/second/bar'
+  ])
+})
+
+it('canGoBack/prevPath + `location.history`: hash histories are not tracked, as their locations have no key', async () => {
+  jest.useRealTimers() // jsdom traverses history asynchronously
+  const history = createHashHistory()
+  history.replace('/first')
+
+  const {
+    middleware,
+    enhancer,
+    reducer,
+    canGoBack,
+    prevPath
+  } = connectRoutes(history, {
+    FIRST: '/first',
+    SECOND: '/second/:param',
+    THIRD: '/third'
+  })
+  const rootReducer = (state = {}, action = {}) => ({
+    location: reducer(state.location, action)
+  })
+  const store = createStore(
+    rootReducer,
+    compose(enhancer, applyMiddleware(middleware))
+  )
+
+  store.dispatch({ type: 'SECOND', payload: { param: 'a' } })
+  store.dispatch({ type: 'THIRD' })
+
+  const popped = new Promise(resolve =>
+    history.listen((location, action) => action === 'POP' && resolve())
+  )
+  history.goBack()
+  await popped
+
+  const { location } = store.getState()
+  expect(location.pathname).toEqual('/second/a')
+  expect(location.history).not.toBeDefined()
+  expect(canGoBack()).toEqual(false) // unknown, rather than tracked wrongly
+  expect(prevPath()).not.toBeDefined()
+})
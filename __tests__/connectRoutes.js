@@ -1,5 +1,9 @@
 import { createStore, applyMiddleware, compose } from 'redux'
-import { createMemoryHistory } from 'history'
+import {
+  createMemoryHistory,
+  createBrowserHistory,
+  createHashHistory
+} from 'history'
 import querySerializer from 'query-string'
 
 import setup, { setupAll } from '../__test-helpers__/setup'
@@ -7,10 +11,19 @@ import setupThunk from '../__test-helpers__/setupThunk'
 import reducerParameters from '../__test-helpers__/reducerParameters'
 
 import connectRoutes from '../src/connectRoutes'
-import { NOT_FOUND } from '../src/index'
+import { NOT_FOUND, ROUTE_THUNK_START, ROUTE_THUNK_SUCCESS } from '../src/index'
+import {
+  goBack,
+  goForward,
+  goBy,
+  pushPath,
+  replacePath
+} from '../src/action-creators/historyActions'
 import redirect from '../src/action-creators/redirect'
 import pathToAction from '../src/pure-utils/pathToAction'
 
+const settle = () => new Promise(resolve => setImmediate(resolve)) // let promises settle
+
 describe('middleware', () => {
   it('dispatches location-aware action, changes address bar + document.title', () => {
     const { store, history } = setupAll()
@@ -139,6 +152,59 @@ describe('middleware', () => {
     window.SSRtest = false
   })
 
+  it('onBeforeChange returning false cancels the route change', async () => {
+    const onBeforeChange = (dispatch, getState, action) =>
+      action.type !== 'SECOND'
+    const { store, history } = setupAll('/first', { onBeforeChange })
+
+    const action = await store.dispatch({
+      type: 'SECOND',
+      payload: { param: 'bar' }
+    })
+
+    expect(action).not.toBeDefined()
+    expect(store.getState().location.type).toEqual('FIRST')
+    expect(history.location.pathname).toEqual('/first')
+  })
+
+  it('onBeforeChange returning an action replaces the route change', () => {
+    const onBeforeChange = (dispatch, getState, action) =>
+      action.type === 'SECOND' ? { type: 'THIRD' } : undefined
+    const { store, history } = setupAll('/first', { onBeforeChange })
+
+    store.dispatch({ type: 'SECOND', payload: { param: 'bar' } })
+
+    expect(store.getState().location.type).toEqual('THIRD')
+    expect(history.location.pathname).toEqual('/third')
+    expect(history.entries.length).toEqual(2)
+  })
+
+  it('onBeforeChange returning a promise defers the route change until it resolves', async () => {
+    let authorized = false
+    const onBeforeChange = (dispatch, getState, action) =>
+      Promise.resolve(action.type !== 'SECOND' || authorized)
+    const { store, history } = setupAll('/first', { onBeforeChange })
+
+    const promise = store.dispatch({
+      type: 'SECOND',
+      payload: { param: 'bar' }
+    })
+
+    expect(history.location.pathname).toEqual('/first')
+    expect(await promise).not.toBeDefined()
+    expect(store.getState().location.type).toEqual('FIRST')
+
+    authorized = true
+    const action = await store.dispatch({
+      type: 'SECOND',
+      payload: { param: 'bar' }
+    })
+
+    expect(action.type).toEqual('SECOND')
+    expect(store.getState().location.type).toEqual('SECOND')
+    expect(history.location.pathname).toEqual('/second/bar')
+  })
+
   it('calls onAfterChange handler on route change', () => {
     const onAfterChange = jest.fn()
     const { store } = setupAll('/first', { onAfterChange })
@@ -158,6 +224,84 @@ describe('middleware', () => {
 
     expect(scrollTo).toHaveBeenCalled()
   })
+
+  it('changes document.title and head tags to those of the route, wrapped in the titleTemplate', () => {
+    const history = createMemoryHistory({ initialEntries: ['/first'] })
+    const routesMap = {
+      FIRST: '/first',
+      SECOND: {
+        path: '/second/:param',
+        title: (state, action) => `Second ${action.payload.param}`,
+        head: { description: 'The second page' }
+      }
+    }
+    const {
+      middleware,
+      enhancer,
+      reducer,
+      selectHead
+    } = connectRoutes(history, routesMap, { titleTemplate: '%s | App' })
+    const rootReducer = (state = {}, action = {}) => ({
+      location: reducer(state.location, action),
+      title: 'Default'
+    })
+    const store = createStore(
+      rootReducer,
+      compose(enhancer, applyMiddleware(middleware))
+    )
+
+    jest.useFakeTimers()
+    store.dispatch({ type: 'SECOND', payload: { param: 'bar' } })
+    jest.runAllTimers()
+
+    const description = document.head.querySelector('meta[name="description"]')
+    expect(document.title).toEqual('Second bar | App')
+    expect(description.getAttribute('content')).toEqual('The second page')
+    expect(selectHead(store.getState())).toEqual({
+      title: 'Second bar | App',
+      description: 'The second page'
+    })
+
+    store.dispatch({ type: 'FIRST' })
+    jest.runAllTimers()
+
+    expect(document.title).toEqual('Default | App')
+    expect(document.head.querySelector('meta[name="description"]')).toEqual(
+      null
+    )
+  })
+
+  it('selects titles that depend on data the route thunk loads once it settles', async () => {
+    const routesMap = {
+      FIRST: '/first',
+      USER: {
+        path: '/user/:id',
+        thunk: dispatch =>
+          Promise.resolve().then(() =>
+            dispatch({ type: 'USERS_LOADED', payload: { 5: { name: 'Ann' } } })
+          ),
+        title: (state, action) => state.users[action.payload.id].name
+      }
+    }
+    const rootReducer = (state = {}, action = {}, reducer) => ({
+      location: reducer(state.location, action),
+      users: action.type === 'USERS_LOADED' ? action.payload : state.users
+    })
+    const { store, history, selectHead } = setupAll('/first', undefined, {
+      rootReducer,
+      routesMap
+    })
+
+    jest.useFakeTimers()
+    const action = store.dispatch({ type: 'USER', payload: { id: 5 } })
+    jest.runAllTimers() // before the thunk settled
+
+    expect(history.location.pathname).toEqual('/user/5')
+    expect(selectHead(store.getState())).toEqual({})
+
+    await action
+    expect(document.title).toEqual('Ann')
+  })
 })
 
 describe('middleware -> _middlewareAttemptChangeUrl()', () => {
@@ -192,7 +336,9 @@ describe('middleware -> _middlewareAttemptChangeUrl()', () => {
 
     _middlewareAttemptChangeUrl(actionMetaLocation, history)
 
-    expect(replace).toBeCalledWith('/foo')
+    expect(replace).toBeCalledWith('/foo', {
+      '@@redux-first-router/index': 0 // the index of the entry, for pops to compare
+    })
   })
 })
 
@@ -246,13 +392,13 @@ describe('enhancer', () => {
       locationFOO: 'bar'
     })
 
-    const createEnhancer = () => setupAll('/first', undefined, rootReducer)
+    const createEnhancer = () => setupAll('/first', undefined, { rootReducer })
     expect(createEnhancer).toThrowError()
   })
 
   it('on the client correctly assigns routesMap to preloadedState so that functions in stringified server state are put back', () => {
     const preLoadedState = { location: { pathname: '/' } }
-    const { store } = setupAll('/first', undefined, undefined, preLoadedState)
+    const { store } = setupAll('/first', undefined, { preLoadedState })
 
     expect(store.getState().location.routesMap).toBeDefined()
   })
@@ -425,6 +571,1060 @@ describe('thunk', () => {
     expect(history.length).toEqual(1) // if it wasn't a redirect, the length would be 2!
     expect(history.entries[0].pathname).toEqual('/third/hurray')
   })
+
+  it('location state is "pending" until the route thunk resolves, with lifecycle actions dispatched around it', async () => {
+    let resolve
+    const thunk = () => new Promise(r => (resolve = r))
+    const { store } = setupThunk('/first', thunk)
+    const dispatch = jest.spyOn(store, 'dispatch')
+
+    store.dispatch({ type: 'SECOND', payload: { param: 'bar' } })
+
+    let { location } = store.getState() /*? */
+    const pending = {
+      pathname: '/second/bar',
+      type: 'SECOND',
+      payload: { param: 'bar' }
+    }
+
+    expect(location.status).toEqual('pending')
+    expect(location.pending).toEqual(pending)
+
+    resolve('data')
+    await settle()
+
+    location = store.getState().location
+    expect(location.status).toEqual('ready')
+    expect(location.pending).not.toBeDefined()
+
+    const types = dispatch.mock.calls.map(([action]) => action.type)
+    expect(types).toEqual(['SECOND', ROUTE_THUNK_START, ROUTE_THUNK_SUCCESS])
+    expect(dispatch.mock.calls[2][0].payload).toEqual({
+      location: pending,
+      result: 'data'
+    })
+  })
+
+  it('route actions of routes with a thunk set the status to "pending" themselves', async () => {
+    const { store } = setupThunk('/first', () => Promise.resolve())
+    const statuses = []
+    store.subscribe(() => {
+      const { type, status } = store.getState().location
+      statuses.push(`${type}:${status}`)
+    })
+
+    store.dispatch({ type: 'SECOND', payload: { param: 'bar' } })
+    await settle()
+
+    // no 'SECOND:ready' before the thunk even started
+    expect(statuses).toEqual([
+      'SECOND:pending',
+      'SECOND:pending', // ROUTE_THUNK_START
+      'SECOND:ready'
+    ])
+  })
+
+  it('location state has status "error" and the error when the route thunk rejects', async () => {
+    const error = new Error('failed')
+    const { store } = setupThunk('/first', () => Promise.reject(error))
+
+    const rejection = await store
+      .dispatch({ type: 'SECOND', payload: { param: 'bar' } })
+      .catch(e => e)
+
+    expect(rejection).toBe(error)
+
+    const { location } = store.getState()
+    expect(location.status).toEqual('error')
+    expect(location.error).toBe(error)
+
+    store.dispatch({ type: 'FIRST' })
+    expect(store.getState().location.status).toEqual('ready')
+    expect(store.getState().location.error).not.toBeDefined()
+  })
+
+  it('dispatching a route action returns the action, which resolves once the route thunk and onAfterChange settle', async () => {
+    const settled = []
+    const thunk = () => settle().then(() => settled.push('thunk'))
+    const onAfterChange = (dispatch, getState) =>
+      getState().location.type === 'SECOND' &&
+      settle().then(() => settled.push('after'))
+    const { store } = setupThunk('/first', thunk, { onAfterChange })
+
+    const promise = store.dispatch({
+      type: 'SECOND',
+      payload: { param: 'bar' }
+    })
+    expect(settled).toEqual([])
+    expect(promise.type).toEqual('SECOND') // still returned synchronously
+    expect(Object.keys(promise)).toEqual(['type', 'payload', 'meta'])
+
+    const action = await promise
+    expect(settled.sort()).toEqual(['after', 'thunk'])
+    expect(action.type).toEqual('SECOND')
+    expect(action.meta.location.current.pathname).toEqual('/second/bar')
+  })
+
+  it('dispatching a route action rejects when its thunk throws', async () => {
+    const error = new Error('failed')
+    const { store } = setupThunk('/first', () => {
+      throw error
+    })
+
+    const rejection = await store
+      .dispatch({ type: 'SECOND', payload: { param: 'bar' } })
+      .catch(e => e)
+
+    expect(rejection).toBe(error)
+    expect(store.getState().location.status).toEqual('error')
+  })
+
+  it('route changes the router dispatches itself do not reject unhandled when their thunk fails', async () => {
+    const unhandled = jest.fn()
+    process.on('unhandledRejection', unhandled)
+
+    const error = new Error('failed')
+    const { store, history } = setupThunk('/first', () => Promise.reject(error))
+
+    try {
+      history.push('/second/bar') // like browser back/next
+      await settle()
+      await settle() // unhandled rejections are reported once microtasks ran
+
+      expect(store.getState().location.status).toEqual('error')
+      expect(unhandled).not.toBeCalled()
+    }
+    finally {
+      process.removeListener('unhandledRejection', unhandled)
+    }
+  })
+
+  it('dispatching a route action does not reject when its thunk fails after being aborted', async () => {
+    let reject
+    const { store } = setupThunk(
+      '/first',
+      () => new Promise((resolve, r) => (reject = r))
+    )
+
+    const promise = store.dispatch({
+      type: 'SECOND',
+      payload: { param: 'bar' }
+    })
+    store.dispatch({ type: 'FIRST' })
+    reject(new Error('aborted'))
+
+    const action = await promise
+    expect(action.type).toEqual('SECOND')
+    expect(store.getState().location.status).toEqual('ready')
+  })
+
+  it('thunks of routes that were already left do not change the status', async () => {
+    let resolve
+    const { store } = setupThunk(
+      '/first',
+      () => new Promise(r => (resolve = r))
+    )
+
+    store.dispatch({ type: 'SECOND', payload: { param: 'bar' } })
+    const resolveBar = resolve
+
+    store.dispatch({ type: 'SECOND', payload: { param: 'baz' } })
+    resolveBar()
+    await settle()
+
+    expect(store.getState().location.status).toEqual('pending')
+    expect(store.getState().location.pending.pathname).toEqual('/second/baz')
+  })
+
+  it('route thunks receive an AbortSignal aborted by the next route change, after which their dispatches are dropped', async () => {
+    const signals = []
+    const resolves = []
+    const thunk = jest.fn((dispatch, getState, { signal }) => {
+      signals.push(signal)
+      return new Promise(r => resolves.push(r)).then(() =>
+        dispatch({ type: 'DATA_FETCHED', payload: getState().location.type })
+      )
+    })
+    const { store } = setupThunk('/first', thunk)
+    const dispatch = jest.spyOn(store, 'dispatch')
+
+    store.dispatch({ type: 'SECOND', payload: { param: 'bar' } })
+    expect(signals[0].aborted).toEqual(false)
+
+    store.dispatch({ type: 'FIRST' })
+    expect(signals[0].aborted).toEqual(true)
+
+    store.dispatch({ type: 'SECOND', payload: { param: 'baz' } })
+    expect(signals[1].aborted).toEqual(false)
+
+    resolves.forEach(resolve => resolve())
+    await settle()
+
+    const types = dispatch.mock.calls.map(([action]) => action.type)
+    expect(types.filter(type => type === 'DATA_FETCHED').length).toEqual(1)
+    expect(types.filter(type => type === ROUTE_THUNK_SUCCESS).length).toEqual(1)
+    expect(store.getState().location.status).toEqual('ready')
+  })
+
+  it('route thunk signals are not aborted by hash-only changes', () => {
+    let signal
+    const { store } = setupThunk('/first', (dispatch, getState, context) => {
+      signal = context.signal
+    })
+
+    store.dispatch({ type: 'SECOND', payload: { param: 'bar' } })
+    store.dispatch({
+      type: 'SECOND',
+      payload: { param: 'bar' },
+      hash: 'section'
+    })
+
+    expect(store.getState().location.kind).toEqual('hash')
+    expect(signal.aborted).toEqual(false)
+  })
+
+  it('the signal of the server side thunk is aborted when it redirects', async () => {
+    let signal
+    const dispatched = []
+    const thunk = jest.fn((dispatch, getState, context) => {
+      signal = context.signal
+      dispatch(redirect({ type: 'THIRD', payload: { param: 'hurray' } }))
+      dispatched.push(dispatch({ type: 'DATA_FETCHED' }))
+    })
+
+    global.window.SSRtest = true
+    const { store, thunk: ssrThunk } = setupThunk('/second/bar', thunk)
+    delete global.window.SSRtest
+
+    await ssrThunk(store)
+
+    expect(signal.aborted).toEqual(true)
+    expect(dispatched).toEqual([undefined])
+    expect(store.getState().location.kind).toEqual('redirect')
+  })
+})
+
+describe('basename', () => {
+  it('strips the basename from the address bar and prepends it when pushing', () => {
+    const history = createMemoryHistory({ initialEntries: ['/app/first'] })
+    const { middleware, enhancer, reducer } = connectRoutes(
+      history,
+      { FIRST: '/first', SECOND: '/second/:param' },
+      { basename: '/app' }
+    )
+    const rootReducer = (state = {}, action = {}) => ({
+      location: reducer(state.location, action)
+    })
+    const store = createStore(
+      rootReducer,
+      compose(enhancer, applyMiddleware(middleware))
+    )
+
+    expect(store.getState().location.type).toEqual('FIRST')
+    expect(store.getState().location.pathname).toEqual('/first')
+
+    store.dispatch({ type: 'SECOND', payload: { param: 'bar' } })
+
+    expect(history.location.pathname).toEqual('/app/second/bar')
+    expect(store.getState().location.pathname).toEqual('/second/bar')
+    expect(store.getState().location.prev.pathname).toEqual('/first')
+
+    history.goBack()
+
+    expect(store.getState().location.type).toEqual('FIRST')
+    expect(store.getState().location.pathname).toEqual('/first')
+  })
+
+  it('strips the basename from the entries of `prevPath`, `nextPath` and `location.history`', () => {
+    const history = createBrowserHistory()
+    history.replace('/app/first')
+
+    const { middleware, enhancer, reducer, push, prevPath } = connectRoutes(
+      history,
+      { FIRST: '/first', SECOND: '/second/:param' },
+      { basename: '/app' }
+    )
+    const rootReducer = (state = {}, action = {}) => ({
+      location: reducer(state.location, action)
+    })
+    const store = createStore(
+      rootReducer,
+      compose(enhancer, applyMiddleware(middleware))
+    )
+
+    store.dispatch({ type: 'SECOND', payload: { param: 'bar' } })
+
+    const { entries } = store.getState().location.history
+    expect(entries.map(entry => entry.pathname)).toEqual([
+      '/first',
+      '/second/bar'
+    ])
+    expect(prevPath()).toEqual('/first')
+
+    push(prevPath())
+
+    expect(store.getState().location.type).toEqual('FIRST')
+    expect(history.location.pathname).toEqual('/app/first')
+  })
+})
+
+describe('history actions', () => {
+  it('performs dispatched `PUSH_PATH`, `BACK`, `NEXT` and `GO` actions on history', () => {
+    const history = createMemoryHistory({ initialEntries: ['/first'] })
+    const { middleware, enhancer, reducer } = connectRoutes(history, {
+      FIRST: '/first',
+      SECOND: '/second/:param'
+    })
+    const types = []
+    const rootReducer = (state = {}, action = {}) => {
+      types.push(action.type)
+      return { location: reducer(state.location, action) }
+    }
+    const store = createStore(
+      rootReducer,
+      compose(enhancer, applyMiddleware(middleware))
+    )
+    types.length = 0
+
+    store.dispatch(pushPath('/second/bar'))
+
+    expect(history.location.pathname).toEqual('/second/bar')
+    expect(store.getState().location.type).toEqual('SECOND')
+    expect(types).toEqual(['@@redux-first-router/PUSH_PATH', 'SECOND'])
+
+    store.dispatch(goBack())
+    expect(store.getState().location.type).toEqual('FIRST')
+    expect(store.getState().location.kind).toEqual('back')
+
+    store.dispatch(goForward())
+    expect(store.getState().location.pathname).toEqual('/second/bar')
+
+    store.dispatch(goBy(-1))
+    expect(store.getState().location.pathname).toEqual('/first')
+  })
+
+  it('`REPLACE_PATH` replaces the current history entry', () => {
+    const { store, history } = setupAll('/first')
+
+    store.dispatch(replacePath('/second/bar'))
+
+    expect(store.getState().location.pathname).toEqual('/second/bar')
+    expect(store.getState().location.kind).toEqual('redirect')
+    expect(history.length).toEqual(1)
+  })
+
+  it('the path of `PUSH_PATH` is prefixed with the basename', () => {
+    const history = createMemoryHistory({ initialEntries: ['/app/first'] })
+    const { middleware, enhancer, reducer } = connectRoutes(
+      history,
+      { FIRST: '/first', SECOND: '/second/:param' },
+      { basename: '/app' }
+    )
+    const rootReducer = (state = {}, action = {}) => ({
+      location: reducer(state.location, action)
+    })
+    const store = createStore(
+      rootReducer,
+      compose(enhancer, applyMiddleware(middleware))
+    )
+
+    store.dispatch(pushPath('/second/bar'))
+
+    expect(history.location.pathname).toEqual('/app/second/bar')
+    expect(store.getState().location.pathname).toEqual('/second/bar')
+  })
+
+  it('history actions are no-ops with a warning on the server', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+    const { store, history } = setupAll('/first')
+    window.SSRtest = true
+
+    const action = store.dispatch(pushPath('/second/bar'))
+
+    delete window.SSRtest
+
+    expect(action).toEqual(pushPath('/second/bar'))
+    expect(history.location.pathname).toEqual('/first')
+    expect(store.getState().location.type).toEqual('FIRST')
+    const messages = warn.mock.calls.map(([message]) => message)
+    expect(messages).toContainEqual(
+      expect.stringMatching('has no effect on the server')
+    )
+
+    warn.mockRestore()
+  })
+})
+
+describe('direction of pops', () => {
+  const setupPops = () => {
+    const onBeforeChange = jest.fn()
+    const tools = setupAll('/first', { onBeforeChange })
+    const { store } = tools
+
+    store.dispatch({ type: 'SECOND', payload: { param: 'foo' } })
+    store.dispatch({ type: 'THIRD' })
+
+    const lastAction = () =>
+      onBeforeChange.mock.calls[onBeforeChange.mock.calls.length - 1][2]
+
+    return { ...tools, lastAction }
+  }
+
+  it('pops to entries pushed by the router are `back`/`next` with their `delta`', () => {
+    const { store, history, lastAction } = setupPops()
+
+    history.push('/second/bar') // unstamped entries are pushed as usual
+    history.go(-2) // back to '/second/foo'
+
+    expect(store.getState().location.kind).toEqual('back')
+    expect(lastAction().meta.location).toMatchObject({
+      kind: 'back',
+      direction: 'back',
+      delta: -2
+    })
+
+    history.go(-1)
+    history.go(2)
+
+    expect(store.getState().location.pathname).toEqual('/third')
+    expect(lastAction().meta.location).toMatchObject({
+      kind: 'next',
+      direction: 'next',
+      delta: 2
+    })
+  })
+
+  it("the index of the entry is stamped into the state of the router's pushes and replaces", () => {
+    const { store, history, replace } = setupPops()
+
+    expect(history.location.state).toEqual({ '@@redux-first-router/index': 2 })
+
+    replace('/second/bar')
+    expect(history.location.state).toEqual({ '@@redux-first-router/index': 2 })
+
+    history.goBack()
+    expect(store.getState().location.pathname).toEqual('/second/foo')
+    expect(history.location.state).toEqual({ '@@redux-first-router/index': 1 })
+  })
+
+  it('the initial entry of browser histories is stamped too', () => {
+    const history = createBrowserHistory()
+    history.replace('/first')
+
+    connectRoutes(history, { FIRST: '/first' })
+
+    expect(history.location.pathname).toEqual('/first')
+    expect(history.location.state).toEqual({ '@@redux-first-router/index': 0 })
+  })
+
+  it('the entries of hash histories are not stamped, as they cannot hold state', () => {
+    const error = jest.fn()
+    const originalError = console.error
+    console.error = error
+
+    try {
+      const history = createHashHistory()
+      const { middleware, enhancer, reducer } = connectRoutes(history, {
+        FIRST: '/first',
+        SECOND: '/second'
+      })
+      const store = createStore(
+        (state = {}, action = {}) => ({
+          location: reducer(state.location, action)
+        }),
+        compose(enhancer, applyMiddleware(middleware))
+      )
+
+      store.dispatch({ type: 'FIRST' })
+      store.dispatch({ type: 'SECOND' })
+
+      expect(history.location.pathname).toEqual('/second')
+      expect(history.location.state).not.toBeDefined()
+      expect(error).not.toBeCalled() // "Hash history cannot push state"
+    }
+    finally {
+      console.error = originalError
+    }
+  })
+})
+
+describe('syncUrlWithState', () => {
+  const setupRestorable = (options, routesMap) => {
+    const types = []
+
+    // like time travel in Redux DevTools or redux-persist's REHYDRATE
+    const rootReducer = (state = {}, action = {}, reducer) => {
+      types.push(action.type)
+      return action.type === 'RESTORE'
+        ? action.payload
+        : { location: reducer(state.location, action) }
+    }
+
+    const tools = setupAll('/first', options, { rootReducer, routesMap })
+    return { ...tools, types }
+  }
+
+  it('replaces the URL when the location state changes without a route change', () => {
+    const { store, history, types } = setupRestorable({
+      syncUrlWithState: true
+    })
+
+    store.dispatch({ type: 'SECOND', payload: { param: 'foo' } })
+    const saved = store.getState()
+    store.dispatch({ type: 'THIRD' })
+    types.length = 0
+
+    store.dispatch({ type: 'RESTORE', payload: saved })
+
+    expect(history.location.pathname).toEqual('/second/foo')
+    expect(history.length).toEqual(3) // replaced
+    expect(types).toEqual(['RESTORE']) // the restored location isn't dispatched again
+
+    store.dispatch({ type: 'FIRST' })
+    expect(store.getState().location.prev.pathname).toEqual('/second/foo')
+  })
+
+  it('leaves URLs whose route change is pending alone', () => {
+    let resolve
+    const beforeEnter = () => new Promise(r => (resolve = r))
+    const routesMap = {
+      FIRST: '/first',
+      THIRD: { path: '/third', beforeEnter }
+    }
+    const { store, history } = setupRestorable(
+      { syncUrlWithState: true },
+      routesMap
+    )
+
+    history.push('/third')
+    store.dispatch({ type: 'UNRELATED' })
+
+    expect(history.location.pathname).toEqual('/third')
+    expect(store.getState().location.pathname).toEqual('/first')
+
+    resolve(true)
+    return settle().then(() => {
+      expect(store.getState().location.pathname).toEqual('/third')
+    })
+  })
+
+  it('is off by default', () => {
+    const { store, history } = setupRestorable()
+    const saved = store.getState()
+
+    store.dispatch({ type: 'THIRD' })
+    store.dispatch({ type: 'RESTORE', payload: saved })
+
+    expect(history.location.pathname).toEqual('/third')
+  })
+})
+
+describe('location selectors', () => {
+  it('keep the references of unchanged values between navigations', () => {
+    const { store, selectPayload, selectParam, selectType } = setupAll('/first')
+    const selectParamParam = selectParam('param')
+
+    store.dispatch({ type: 'SECOND', payload: { param: 'foo' } })
+    const payload = selectPayload(store.getState())
+
+    store.dispatch({ type: 'FIRST' })
+    store.dispatch({ type: 'SECOND', payload: { param: 'foo' } })
+
+    expect(store.getState().location.payload).not.toBe(payload)
+    expect(selectPayload(store.getState())).toBe(payload)
+    expect(selectParamParam(store.getState())).toEqual('foo')
+    expect(selectType(store.getState())).toEqual('SECOND')
+  })
+})
+
+describe('hash', () => {
+  it('dispatched action.hash changes the address bar hash and location state', () => {
+    const { store, history } = setupAll('/first')
+
+    store.dispatch({
+      type: 'SECOND',
+      payload: { param: 'bar' },
+      hash: 'section'
+    })
+    const { location } = store.getState()
+
+    expect(history.location.pathname).toEqual('/second/bar')
+    expect(history.location.hash).toEqual('#section')
+    expect(location.pathname).toEqual('/second/bar')
+    expect(location.hash).toEqual('section')
+    expect(location.kind).toEqual('push')
+  })
+
+  it('hash-only changes dispatch with kind === "hash" and do not call the route thunk', () => {
+    const thunk = jest.fn()
+    const { store, history } = setupThunk('/second/bar', thunk)
+    thunk.mockClear()
+
+    store.dispatch({ type: 'SECOND', payload: { param: 'bar' }, hash: 'one' })
+    let { location } = store.getState()
+
+    expect(location.kind).toEqual('hash')
+    expect(location.hash).toEqual('one')
+    expect(history.location.hash).toEqual('#one')
+
+    history.push('/second/bar#two') // e.g. an in-page <a href="#two">
+    location = store.getState().location
+
+    expect(location.kind).toEqual('hash')
+    expect(location.hash).toEqual('two')
+    expect(thunk).not.toBeCalled()
+  })
+
+  it('scrolls to the anchor after navigation when options.scrollToHash === true', () => {
+    const element = document.createElement('div')
+    element.id = 'section'
+    element.scrollIntoView = jest.fn()
+    document.body.appendChild(element)
+
+    jest.useFakeTimers()
+    const { store } = setupAll('/first', {
+      scrollToHash: true,
+      scrollTop: true
+    })
+    jest.runAllTimers() // initial load
+
+    window.scrollTo = jest.fn()
+    store.dispatch({
+      type: 'SECOND',
+      payload: { param: 'bar' },
+      hash: 'section'
+    })
+    jest.runAllTimers()
+
+    expect(element.scrollIntoView).toHaveBeenCalled()
+    expect(window.scrollTo).not.toHaveBeenCalled()
+
+    document.body.removeChild(element)
+  })
+})
+
+describe('nested routes', () => {
+  it('location state records the chain of parent types of the matched route', () => {
+    const routesMap = {
+      HOME: '/',
+      ADMIN: {
+        path: '/admin',
+        routes: {
+          ADMIN_USERS: {
+            path: '/users',
+            routes: { ADMIN_USER: '/:id' }
+          }
+        }
+      }
+    }
+    const history = createMemoryHistory({ initialEntries: ['/admin/users'] })
+    const { middleware, enhancer, reducer } = connectRoutes(history, routesMap)
+    const rootReducer = (state = {}, action = {}) => ({
+      location: reducer(state.location, action)
+    })
+    const store = createStore(
+      rootReducer,
+      compose(enhancer, applyMiddleware(middleware))
+    )
+
+    expect(store.getState().location.parents).toEqual(['ADMIN'])
+
+    store.dispatch({ type: 'ADMIN_USER', payload: { id: 1 } })
+    const { location } = store.getState() /*? */
+
+    expect(history.location.pathname).toEqual('/admin/users/1')
+    expect(location.type).toEqual('ADMIN_USER')
+    expect(location.parents).toEqual(['ADMIN', 'ADMIN_USERS'])
+
+    store.dispatch({ type: 'HOME' })
+    expect(store.getState().location.parents).not.toBeDefined()
+  })
+})
+
+describe('declarative redirects and aliases', () => {
+  const routesMap = {
+    HOME: '/',
+    PRODUCT: { path: '/products/:id', aliases: ['/items/:id'] },
+    LEGACY: { path: '/shop/:id', redirect: 'PRODUCT' },
+    OLD_HOME: {
+      path: '/old-home',
+      redirect: (action, state) => ({ type: 'HOME', query: state.query })
+    }
+  }
+
+  const setup = path =>
+    setupAll(
+      path,
+      { querySerializer },
+      {
+        routesMap,
+        rootReducer: (state = {}, action = {}, reducer) => ({
+          location: reducer(state.location, action),
+          query: { ref: 'old' }
+        })
+      }
+    )
+
+  it('replaces aliases with the path of their route on load, as a 301 redirect', () => {
+    const { store, history } = setup('/items/5')
+    const { location } = store.getState()
+
+    expect(location.type).toEqual('PRODUCT')
+    expect(location.pathname).toEqual('/products/5')
+    expect(location.kind).toEqual('redirect')
+    expect(location.redirectStatus).toEqual(301)
+    expect(history.location.pathname).toEqual('/products/5')
+    expect(history.entries.length).toEqual(1)
+  })
+
+  it('keeps the keys of the redirect action out of the initial location state', () => {
+    const { reducer } = setupAll(
+      '/items/5',
+      { initialDispatch: false },
+      { routesMap }
+    )
+    const location = reducer(undefined, {})
+
+    expect(location.pathname).toEqual('/items/5')
+    expect(location.type).toEqual('PRODUCT')
+    expect(location.location).not.toBeDefined()
+    expect(location.redirectStatus).not.toBeDefined()
+  })
+
+  it('redirects history changes to routes with a `redirect`', () => {
+    const { store, history } = setup('/')
+
+    history.push('/shop/7?color=red')
+
+    const { location } = store.getState()
+    expect(location.type).toEqual('PRODUCT')
+    expect(location.payload).toEqual({ id: 7 })
+    expect(location.query).toEqual({ color: 'red' })
+    expect(location.redirectStatus).toEqual(301)
+    expect(history.location.pathname).toEqual('/products/7')
+    expect(history.entries.length).toEqual(2)
+
+    history.push('/old-home')
+
+    expect(store.getState().location.type).toEqual('HOME')
+    expect(store.getState().location.kind).toEqual('redirect')
+    expect(history.location.pathname).toEqual('/')
+    expect(history.location.search).toEqual('?ref=old')
+    expect(history.entries.length).toEqual(3)
+  })
+
+  it('redirects dispatched actions of routes with a `redirect`', () => {
+    const { store, history } = setup('/')
+
+    store.dispatch({ type: 'LEGACY', payload: { id: 3 } })
+
+    expect(store.getState().location.type).toEqual('PRODUCT')
+    expect(history.location.pathname).toEqual('/products/3')
+
+    store.dispatch({ type: 'OLD_HOME' })
+
+    expect(store.getState().location.type).toEqual('HOME')
+    expect(history.location.pathname).toEqual('/')
+  })
+
+  it('stops and warns when `redirect`s redirect in circles', () => {
+    const warn = jest.fn()
+    const originalWarn = console.warn
+    console.warn = warn
+
+    const { store, history } = setupAll('/', undefined, {
+      routesMap: {
+        HOME: '/',
+        A: { path: '/a', redirect: () => ({ type: 'B' }) },
+        B: { path: '/b', redirect: () => ({ type: 'A' }) },
+        SELF: { path: '/self', redirect: 'SELF' }
+      }
+    })
+
+    try {
+      store.dispatch({ type: 'A' })
+      store.dispatch({ type: 'SELF' })
+      history.push('/b')
+    }
+    finally {
+      console.warn = originalWarn
+    }
+
+    const messages = warn.mock.calls.map(call => call[0]) /*? */
+    expect(messages).toEqual([
+      '[redux-first-router] redirect loop detected: /a -> /b -> /a',
+      '[redux-first-router] redirect loop detected: /self -> /self',
+      '[redux-first-router] redirect loop detected: /b -> /a -> /b'
+    ])
+    expect(store.getState().location.type).toEqual('HOME')
+    expect(history.location.pathname).toEqual('/b')
+  })
+})
+
+describe('localized paths', () => {
+  const routesMap = {
+    HOME: '/',
+    PRODUCT: { path: { en: '/en/products/:slug', de: '/de/produkte/:slug' } }
+  }
+
+  const setup = (path, options) =>
+    setupAll(path, options, {
+      routesMap,
+      rootReducer: (state = {}, action = {}, reducer) => ({
+        location: reducer(state.location, action),
+        lang: action.type === 'SET_LANG' ? action.payload : state.lang || 'en'
+      })
+    })
+
+  it('detects the locale from the matched path and keeps using it', () => {
+    const { store, history } = setup('/de/produkte/shoe')
+
+    expect(store.getState().location.locale).toEqual('de')
+
+    store.dispatch({ type: 'HOME' })
+    expect(store.getState().location.locale).not.toBeDefined()
+
+    store.dispatch({ type: 'PRODUCT', payload: { slug: 'sock' } })
+    expect(history.location.pathname).toEqual('/en/products/sock') // first locale
+
+    store.dispatch({
+      type: 'PRODUCT',
+      payload: { slug: 'boot' },
+      meta: { locale: 'de' }
+    })
+    expect(history.location.pathname).toEqual('/de/produkte/boot')
+
+    store.dispatch({ type: 'PRODUCT', payload: { slug: 'shoe' } })
+    expect(history.location.pathname).toEqual('/de/produkte/shoe')
+  })
+
+  it('re-derives the current URL when the selected locale changes', () => {
+    const { store, history } = setup('/en/products/shoe', {
+      locale: state => state.lang
+    })
+
+    store.dispatch({ type: 'SET_LANG', payload: 'de' })
+
+    const { location } = store.getState() /*? */
+    expect(history.location.pathname).toEqual('/de/produkte/shoe')
+    expect(location.pathname).toEqual('/de/produkte/shoe')
+    expect(location.locale).toEqual('de')
+    expect(location.kind).toEqual('redirect')
+
+    store.dispatch({ type: 'PRODUCT', payload: { slug: 'sock' } })
+    expect(history.location.pathname).toEqual('/de/produkte/sock')
+  })
+})
+
+describe('route guards', () => {
+  const setupGuards = (routes, path = '/first') =>
+    setupAll(path, undefined, {
+      routesMap: { HOME: '/', FIRST: '/first', SECOND: '/second', ...routes }
+    })
+
+  it('beforeEnter returning false cancels the route change', () => {
+    const beforeEnter = jest.fn(() => false)
+    const { store, history } = setupGuards({
+      SECOND: { path: '/second', beforeEnter }
+    })
+
+    store.dispatch({ type: 'SECOND' })
+
+    expect(beforeEnter).toHaveBeenCalled()
+    expect(beforeEnter.mock.calls[0][0].meta.location.current.pathname).toEqual(
+      '/second'
+    )
+    expect(beforeEnter.mock.calls[0][1].getState).toEqual(expect.any(Function))
+    expect(store.getState().location.type).toEqual('FIRST')
+    expect(history.location.pathname).toEqual('/first')
+  })
+
+  it('beforeEnter returning an action redirects to it instead', () => {
+    const { store, history } = setupGuards({
+      SECOND: { path: '/second', beforeEnter: () => ({ type: 'HOME' }) }
+    })
+
+    store.dispatch({ type: 'SECOND' })
+
+    expect(store.getState().location.type).toEqual('HOME')
+    expect(history.location.pathname).toEqual('/')
+    expect(history.entries.length).toEqual(2)
+  })
+
+  it('holds the route change until async guards resolve', async () => {
+    let resolve
+    const beforeEnter = () => new Promise(r => (resolve = r))
+    const { store, history } = setupGuards({
+      SECOND: { path: '/second', beforeEnter }
+    })
+
+    const promise = store.dispatch({ type: 'SECOND' })
+
+    expect(store.getState().location.type).toEqual('FIRST')
+    expect(history.location.pathname).toEqual('/first')
+
+    resolve()
+    const action = await promise
+
+    expect(action.type).toEqual('SECOND')
+    expect(store.getState().location.type).toEqual('SECOND')
+    expect(history.location.pathname).toEqual('/second')
+  })
+
+  it('drops route changes whose guards settle after a newer route change', async () => {
+    let resolve
+    const beforeEnter = () => new Promise(r => (resolve = r))
+    const { store, history } = setupGuards({
+      SECOND: { path: '/second', beforeEnter }
+    })
+
+    const promise = store.dispatch({ type: 'SECOND' })
+    store.dispatch({ type: 'HOME' })
+
+    resolve()
+    await promise
+
+    expect(store.getState().location.type).toEqual('HOME')
+    expect(history.location.pathname).toEqual('/')
+  })
+
+  it('reverts browser back/next when a guard cancels', async () => {
+    let allow = true
+    const beforeLeave = () => Promise.resolve(allow)
+    const { store, history } = setupGuards({
+      SECOND: { path: '/second', beforeLeave }
+    })
+
+    store.dispatch({ type: 'SECOND' })
+    allow = false
+
+    history.goBack()
+    await settle()
+
+    expect(store.getState().location.type).toEqual('SECOND')
+    expect(history.location.pathname).toEqual('/second')
+    expect(history.index).toEqual(1)
+
+    allow = true
+    history.goBack()
+    await settle()
+
+    expect(store.getState().location.type).toEqual('FIRST')
+    expect(history.location.pathname).toEqual('/first')
+  })
+})
+
+describe('blockNavigation', () => {
+  const setupBlocking = options =>
+    setupAll('/first', options, {
+      routesMap: { FIRST: '/first', SECOND: '/second', THIRD: '/third' }
+    })
+
+  it('blocks dispatched route actions unless window.confirm() is confirmed', () => {
+    const { store, history, blockNavigation } = setupBlocking()
+    const confirm = window.confirm
+    window.confirm = jest.fn(() => false)
+
+    const unblock = blockNavigation('You have unsaved changes')
+    store.dispatch({ type: 'SECOND' })
+
+    expect(window.confirm).toHaveBeenCalledWith('You have unsaved changes')
+    expect(store.getState().location.type).toEqual('FIRST')
+    expect(history.location.pathname).toEqual('/first')
+
+    window.confirm = jest.fn(() => true)
+    store.dispatch({ type: 'SECOND' })
+
+    expect(store.getState().location.type).toEqual('SECOND')
+    expect(history.location.pathname).toEqual('/second')
+
+    unblock()
+    window.confirm = jest.fn()
+    store.dispatch({ type: 'THIRD' })
+
+    expect(window.confirm).not.toHaveBeenCalled()
+    expect(store.getState().location.type).toEqual('THIRD')
+
+    window.confirm = confirm
+  })
+
+  it('only blocks route changes the predicate returns true or a message for', () => {
+    const confirmNavigation = jest.fn(() => false)
+    const { store, blockNavigation } = setupBlocking({ confirmNavigation })
+
+    blockNavigation(action => action.type === 'THIRD' && 'Leave?')
+
+    store.dispatch({ type: 'SECOND' })
+    expect(store.getState().location.type).toEqual('SECOND')
+
+    store.dispatch({ type: 'THIRD' })
+    expect(store.getState().location.type).toEqual('SECOND')
+    expect(confirmNavigation.mock.calls[0][0]).toEqual('Leave?')
+    expect(confirmNavigation.mock.calls[0][1].type).toEqual('THIRD')
+  })
+
+  it('blocks browser back/next via history.block()', () => {
+    const confirmNavigation = jest.fn(() => false)
+    const { store, history, blockNavigation } = setupBlocking({
+      confirmNavigation
+    })
+
+    store.dispatch({ type: 'SECOND' })
+    blockNavigation(true)
+    history.goBack()
+
+    expect(confirmNavigation).toHaveBeenCalledTimes(1)
+    expect(history.index).toEqual(1)
+    expect(history.location.pathname).toEqual('/second')
+    expect(store.getState().location.type).toEqual('SECOND')
+  })
+
+  it('supports async confirmNavigation callbacks for custom modals', async () => {
+    let answer
+    const confirmNavigation = () => new Promise(resolve => (answer = resolve))
+    const { store, history, blockNavigation } = setupBlocking({
+      confirmNavigation
+    })
+
+    blockNavigation(true)
+    const promise = store.dispatch({ type: 'SECOND' })
+
+    expect(store.getState().location.type).toEqual('FIRST')
+    answer(true)
+    await promise
+    expect(store.getState().location.type).toEqual('SECOND')
+
+    history.goBack() // blocked until confirmed, then made again
+    expect(history.location.pathname).toEqual('/second')
+
+    answer(true)
+    await settle()
+
+    expect(history.location.pathname).toEqual('/first')
+    expect(history.index).toEqual(0) // still back, rather than pushed
+    expect(history.entries.map(entry => entry.pathname)).toEqual([
+      '/first',
+      '/second'
+    ])
+    expect(store.getState().location.type).toEqual('FIRST')
+    expect(store.getState().location.kind).toEqual('back')
+  })
+
+  it('reverts blocked pops itself when history.block() is not available', () => {
+    const confirmNavigation = jest.fn(() => false)
+    const { store, history, blockNavigation } = setupBlocking({
+      confirmNavigation
+    })
+    history.block = undefined
+
+    store.dispatch({ type: 'SECOND' })
+    blockNavigation(true)
+    history.goBack()
+
+    expect(confirmNavigation).toHaveBeenCalledTimes(1)
+    expect(history.location.pathname).toEqual('/second')
+    expect(store.getState().location.type).toEqual('SECOND')
+  })
 })
 
 describe('reducer', () => {
@@ -442,6 +1642,14 @@ it('connectRoutes(undefined): throw error if no history provided', () => {
   expect(() => connectRoutes()).toThrowError()
 })
 
+it('connectRoutes() compiles a routesMap shared by several instances only once', () => {
+  const routesMap = { FIRST: '/first', SECOND: '/second/:param' }
+  const first = connectRoutes(createMemoryHistory(), routesMap)
+  const second = connectRoutes(createMemoryHistory(), routesMap)
+
+  expect(second.matcher).toBe(first.matcher)
+})
+
 it('title and location options as selector functions', () => {
   const { store } = setupAll('/first', {
     title: state => state.title,
@@ -2,7 +2,12 @@ import { createMemoryHistory } from 'history'
 import createLocationReducer, {
   getInitialState
 } from '../src/reducer/createLocationReducer'
-import { NOT_FOUND } from '../src/index'
+import {
+  NOT_FOUND,
+  ROUTE_THUNK_START,
+  ROUTE_THUNK_SUCCESS,
+  ROUTE_THUNK_ERROR
+} from '../src/index'
 import reducerParameters from '../__test-helpers__/reducerParameters'
 
 it('createLocationReducer() - maintains address bar pathname state and current + previous matched location-aware actions', () => {
@@ -42,6 +47,43 @@ it('locationReducer() reduces non matched action.type and returns initialState',
   expect(state).toEqual(initialState)
 })
 
+it('locationReducer() reduces route thunk lifecycle actions into state.status', () => {
+  const { initialState, routesMap, action, current } = reducerParameters(
+    'SECOND',
+    '/second/bar'
+  )
+
+  const reducer = createLocationReducer(initialState, routesMap)
+  let state = reducer(undefined, action)
+  expect(state.status).toEqual('ready')
+
+  const location = { ...current }
+  state = reducer(state, { type: ROUTE_THUNK_START, payload: { location } })
+  expect(state.status).toEqual('pending')
+  expect(state.pending).toEqual(current)
+
+  const prev = { pathname: '/first', type: 'FIRST', payload: {} }
+  const stale = reducer(state, {
+    type: ROUTE_THUNK_SUCCESS,
+    payload: { location: prev }
+  })
+  expect(stale).toBe(state)
+
+  const error = new Error('failed')
+  state = reducer(state, {
+    type: ROUTE_THUNK_ERROR,
+    payload: { location, error }
+  })
+  expect(state.status).toEqual('error')
+  expect(state.error).toBe(error)
+  expect(state.pending).not.toBeDefined()
+
+  state = reducer(state, { type: ROUTE_THUNK_START, payload: { location } })
+  state = reducer(state, { type: ROUTE_THUNK_SUCCESS, payload: { location } })
+  expect(state.status).toEqual('ready')
+  expect(state.error).not.toBeDefined()
+})
+
 it('getInitialState() returns state.history === undefined when using createBrowserHistory', () => {
   const pathname = '/first'
   const history = createMemoryHistory({ initialEntries: [pathname] })
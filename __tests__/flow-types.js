@@ -0,0 +1,22 @@
+// @flow
+import createRouteActions from '../src/action-creators/createRouteActions'
+import type { RouteActionCreator } from '../src/flow-types'
+
+// checked by `npm run flow` as well: the calls below marked as expected errors must
+// be rejected by Flow, or their comments are reported as unused suppressions
+
+it('RouteActionCreator: types the params of each route action creator', () => {
+  const { USER, HOME }: {
+    USER: RouteActionCreator<{ id: number }>,
+    HOME: RouteActionCreator<{}>
+  } = createRouteActions({ HOME: '/', USER: '/user/:id' })
+
+  expect(USER({ id: 5 })).toEqual({ type: 'USER', payload: { id: 5 } })
+  expect(HOME.toPath()).toEqual('/')
+
+  // $FlowExpectError: `id` is a number
+  expect(USER({ id: 'five' }).payload).toEqual({ id: 'five' })
+
+  // $FlowExpectError: `toPath` takes the same params
+  expect(USER.toPath({ id: 'five' })).toEqual('/user/five')
+})
@@ -3,10 +3,28 @@ import { createMemoryHistory, createBrowserHistory } from 'history'
 import isLocationAction from '../src/pure-utils/isLocationAction'
 import isServer from '../src/pure-utils/isServer'
 import objectValues from '../src/pure-utils/objectValues'
+import flattenRoutes from '../src/pure-utils/flattenRoutes'
+import rankRoutes, { warnShadowedRoutes } from '../src/pure-utils/rankRoutes'
+import createMatcher, {
+  getMatcher,
+  getCompiledRoute
+} from '../src/pure-utils/createMatcher'
 import nestAction, { nestHistory } from '../src/pure-utils/nestAction'
 import pathToAction from '../src/pure-utils/pathToAction'
 import actionToPath from '../src/pure-utils/actionToPath'
 import changePageTitle from '../src/pure-utils/changePageTitle'
+import callRouteGuards from '../src/pure-utils/callRouteGuards'
+import stripBasename, { prependBasename } from '../src/pure-utils/stripBasename'
+import createAbortController from '../src/pure-utils/createAbortController'
+import createSessionHistory, {
+  STORAGE_KEY
+} from '../src/pure-utils/createSessionHistory'
+import createHeadSelector from '../src/pure-utils/createHeadSelector'
+import createLocationSelectors from '../src/pure-utils/createLocationSelectors'
+import changeHead from '../src/pure-utils/changeHead'
+import renderHead from '../src/pure-utils/renderHead'
+import isActive from '../src/pure-utils/isActive'
+import matchPath from '../src/pure-utils/matchPath'
 
 import { NOT_FOUND } from '../src/index'
 
@@ -36,6 +54,268 @@ it('objectValues(routesMap) converts map of routes to an array of routes without
   expect(ret).toEqual([routesMap.ACTION_TYPE, routesMap.ACTION_TYPE_2]) /*? */
 })
 
+describe('flattenRoutes(routesMap)', () => {
+  it('returns flat routesMaps as is', () => {
+    const routesMap = { FOO: '/foo', BAR: { path: '/bar/:baz' } }
+    expect(flattenRoutes(routesMap)).toBe(routesMap)
+  })
+
+  it('resolves child paths relative to the parent and records the chain of parent types', () => {
+    const routesMap = {
+      HOME: '/',
+      ADMIN: {
+        path: '/admin',
+        routes: {
+          ADMIN_INDEX: '/',
+          ADMIN_USERS: {
+            path: '/users',
+            routes: {
+              ADMIN_USER: '/:id'
+            }
+          }
+        }
+      }
+    }
+
+    const flat = flattenRoutes(routesMap) /*? */
+
+    expect(Object.keys(flat)).toEqual([
+      'HOME',
+      'ADMIN',
+      'ADMIN_INDEX',
+      'ADMIN_USERS',
+      'ADMIN_USER'
+    ])
+    expect(flat.HOME).toEqual('/')
+    expect(flat.ADMIN).toEqual({ path: '/admin' })
+    expect(flat.ADMIN_INDEX).toEqual({ path: '/admin', parents: ['ADMIN'] })
+    expect(flat.ADMIN_USER).toEqual({
+      path: '/admin/users/:id',
+      parents: ['ADMIN', 'ADMIN_USERS']
+    })
+  })
+
+  it('children inherit capitalizedWords, toPath, fromPath and thunk unless overridden', () => {
+    const thunk = () => {}
+    const toPath = value => value
+    const routesMap = {
+      CATEGORY: {
+        path: '/category/:category',
+        capitalizedWords: true,
+        thunk,
+        toPath,
+        routes: {
+          PRODUCT: '/:product',
+          REVIEWS: { path: '/reviews', capitalizedWords: false }
+        }
+      }
+    }
+
+    const flat = flattenRoutes(routesMap) /*? */
+
+    expect(flat.PRODUCT).toEqual({
+      path: '/category/:category/:product',
+      capitalizedWords: true,
+      thunk,
+      toPath,
+      parents: ['CATEGORY']
+    })
+    expect(flat.REVIEWS.capitalizedWords).toEqual(false)
+    expect(flat.REVIEWS.thunk).toBe(thunk)
+  })
+
+  it('joins localized paths per locale', () => {
+    const routesMap = {
+      SHOP: {
+        path: { en: '/en/shop', de: '/de/laden' },
+        routes: {
+          PRODUCT: '/:slug',
+          CART: { path: { en: '/cart', de: '/warenkorb', fr: '/panier' } }
+        }
+      }
+    }
+
+    const flat = flattenRoutes(routesMap) /*? */
+
+    expect(flat.PRODUCT.path).toEqual({
+      en: '/en/shop/:slug',
+      de: '/de/laden/:slug'
+    })
+    expect(flat.CART.path).toEqual({
+      en: '/en/shop/cart',
+      de: '/de/laden/warenkorb'
+    })
+  })
+})
+
+describe('rankRoutes(routesMap)', () => {
+  it('ranks static segments before params, and params before wildcards', () => {
+    const routesMap = {
+      WILDCARD: '/users/(.*)',
+      OPTIONAL: '/users/:id?',
+      USER: '/users/:id',
+      USER_NUMERIC: '/users/:id(\\d+)',
+      NEW_USER: '/users/new'
+    }
+
+    const types = rankRoutes(routesMap).map(({ type }) => type) /*? */
+    expect(types).toEqual([
+      'NEW_USER',
+      'USER_NUMERIC',
+      'USER',
+      'OPTIONAL',
+      'WILDCARD'
+    ])
+  })
+
+  it('ranks routes with a higher priority first, and otherwise keeps insertion order', () => {
+    const routesMap = {
+      FOO: '/foo/:bar',
+      BAZ: '/foo/:baz',
+      CATCH_ALL: { path: '/(.*)', priority: 1 }
+    }
+
+    const types = rankRoutes(routesMap).map(({ type }) => type) /*? */
+    expect(types).toEqual(['CATCH_ALL', 'FOO', 'BAZ'])
+  })
+
+  it('warnShadowedRoutes() warns about routes that can never match', () => {
+    const warn = jest.fn()
+    const originalWarn = console.warn
+    console.warn = warn
+
+    const { routes } = createMatcher({
+      USER: { path: '/users/:id', priority: 1 },
+      NEW_USER: '/users/new',
+      USER_NAME: '/users/:name',
+      USER_NUMERIC: '/users/:id(\\d+)',
+      INFO: '/info'
+    })
+
+    warnShadowedRoutes(routes)
+    warnShadowedRoutes(routes) // each matcher is only checked once
+
+    console.warn = originalWarn
+
+    const messages = warn.mock.calls.map(call => call[0]) /*? */
+    expect(messages.length).toEqual(2)
+    expect(messages[0]).toContain('"NEW_USER"')
+    expect(messages[1]).toContain('"USER_NAME"')
+  })
+})
+
+describe('createMatcher(routesMap)', () => {
+  const routesMap = {
+    HOME: '/',
+    INFO_WILDCARD: '/info(.*)',
+    USER: '/users/:id',
+    NEW_USER: '/users/new',
+    FILE: '/files/:name.:ext',
+    ADMIN: { path: '/admin', routes: { ADMIN_USER: '/users/:id' } }
+  }
+
+  it('matches pathnames to the highest ranked compiled route', () => {
+    const matcher = createMatcher(routesMap)
+    const type = path => {
+      const matched = matcher.match(path)
+      return matched && matched.route.type
+    }
+
+    expect(type('/')).toEqual('HOME')
+    expect(type('/info')).toEqual('INFO_WILDCARD')
+    expect(type('/info/foo/bar')).toEqual('INFO_WILDCARD')
+    expect(type('/users/new')).toEqual('NEW_USER')
+    expect(type('/Users/NEW/')).toEqual('NEW_USER') // paths are not case sensitive or strict
+    expect(type('/users/69')).toEqual('USER')
+    expect(type('/files/foo.json')).toEqual('FILE')
+    expect(type('/admin/users/69')).toEqual('ADMIN_USER')
+    expect(type('/not/found')).toEqual(null)
+
+    expect(matcher.match('/users/69').match[1]).toEqual('69')
+  })
+
+  it('precompiles toPath functions for each route type', () => {
+    const matcher = createMatcher(routesMap)
+
+    expect(matcher.compiled.ADMIN_USER.toPath({ id: 1 })).toEqual(
+      '/admin/users/1'
+    )
+    expect(matcher.routesMap.ADMIN_USER).toEqual({
+      path: '/admin/users/:id',
+      parents: ['ADMIN']
+    })
+  })
+
+  it('pathToAction and actionToPath accept a precompiled matcher', () => {
+    const matcher = createMatcher(routesMap)
+    const action = pathToAction('/admin/users/69', matcher)
+
+    expect(action).toEqual({
+      type: 'ADMIN_USER',
+      payload: { id: 69 },
+      meta: {}
+    })
+    expect(actionToPath(action, matcher)).toEqual('/admin/users/69')
+  })
+
+  it('compiles the path of each locale of routes with localized paths', () => {
+    const matcher = createMatcher({
+      PRODUCT: { path: { en: '/en/products/:slug', de: '/de/produkte/:slug' } }
+    })
+
+    expect(matcher.match('/de/produkte/shoe').route.locale).toEqual('de')
+    expect(matcher.localized.PRODUCT.en.toPath({ slug: 'shoe' })).toEqual(
+      '/en/products/shoe'
+    )
+    expect(matcher.compiled.PRODUCT.locale).toEqual('en') // the first locale
+    expect(getCompiledRoute(matcher, 'PRODUCT', 'de').locale).toEqual('de')
+    expect(getCompiledRoute(matcher, 'PRODUCT', 'fr').locale).toEqual('en')
+  })
+
+  it('getMatcher() returns matchers as is and compiles each routesMap only once', () => {
+    const matcher = getMatcher(routesMap)
+
+    expect(getMatcher(matcher)).toBe(matcher)
+    expect(getMatcher(routesMap)).toBe(matcher)
+  })
+
+  it('BENCHMARK: lookup time stays flat as the number of routes grows', () => {
+    const createRoutesMap = count => {
+      const routesMap = {}
+
+      for (let i = 0; i < count; i++) {
+        routesMap[`LIST_${i}`] = `/section-${i}/items`
+        routesMap[`ITEM_${i}`] = `/section-${i}/items/:id`
+      }
+
+      return routesMap
+    }
+
+    const timeLookups = count => {
+      const matcher = createMatcher(createRoutesMap(count))
+      const paths = [0, count / 2, count - 1].map(i => `/section-${i}/items/69`)
+
+      // best of several runs, to keep the measurement stable on busy machines
+      return Math.min(
+        ...[1, 2, 3, 4, 5].map(() => {
+          const start = Date.now()
+
+          for (let i = 0; i < 2000; i++) {
+            pathToAction(paths[i % paths.length], matcher)
+          }
+
+          return Date.now() - start
+        })
+      )
+    }
+
+    const small = timeLookups(10)
+    const large = timeLookups(1000) // 100x the routes
+
+    expect(large).toBeLessThan(Math.max(small, 5) * 5)
+  })
+})
+
 describe('nestAction(pathname, receivedAction, prevLocation, history, kind?)', () => {
   it('nestAction properly formats/nests action object', () => {
     const history = createMemoryHistory()
@@ -78,6 +358,29 @@ describe('nestAction(pathname, receivedAction, prevLocation, history, kind?)', (
     expect(action.meta.location.kind).toEqual('pop')
   })
 
+  it('nestAction includes the hash of the pathname or action in meta.location.current', () => {
+    const history = createMemoryHistory()
+    const prev = { pathname: '/prev', type: 'PREV', payload: {} }
+    const receivedAction = { type: 'FOO', payload: {} }
+
+    let action = nestAction('/path?a=b#section', receivedAction, prev, history)
+    expect(action.meta.location.current).toEqual({
+      pathname: '/path',
+      type: 'FOO',
+      payload: {},
+      hash: 'section'
+    })
+
+    action = nestAction(
+      '/path',
+      { ...receivedAction, hash: 'top' },
+      prev,
+      history
+    )
+    expect(action.hash).toEqual('top')
+    expect(action.meta.location.current.hash).toEqual('top')
+  })
+
   it('nestHistory formats simplified history object for action + state', () => {
     const history = createMemoryHistory() // still use `createMemoryHistory` for stability during tests
     history.push('/foo')
@@ -95,6 +398,30 @@ describe('nestAction(pathname, receivedAction, prevLocation, history, kind?)', (
 })
 
 describe('pathToAction(path, routesMap)', () => {
+  it('resolves `aliases` and routes with a `redirect` to the route they point to, as permanent redirects', () => {
+    const routesMap = {
+      PRODUCT: { path: '/products/:id', aliases: ['/items/:id', '/p/:id'] },
+      LEGACY: { path: '/shop/:id', redirect: 'PRODUCT' }
+    }
+    const redirect = {
+      type: 'PRODUCT',
+      payload: { id: 5 },
+      meta: { redirectStatus: 301, location: { kind: 'redirect' } }
+    }
+
+    expect(pathToAction('/items/5', routesMap)).toEqual(redirect)
+    expect(pathToAction('/p/5', routesMap)).toEqual(redirect)
+    expect(pathToAction('/shop/5', routesMap)).toEqual(redirect)
+    expect(pathToAction('/products/5', routesMap)).toEqual({
+      type: 'PRODUCT',
+      payload: { id: 5 },
+      meta: {}
+    })
+    expect(
+      actionToPath({ type: 'PRODUCT', payload: { id: 5 } }, routesMap)
+    ).toEqual('/products/5')
+  })
+
   it('parse path into action using routePath without /:param segment', () => {
     const routesMap = {
       INFO: '/info',
@@ -154,6 +481,129 @@ describe('pathToAction(path, routesMap)', () => {
     expect(action.payload.param).toEqual(69)
   })
 
+  it('does not parse numeric-looking params that would not survive the round trip back to the URL', () => {
+    const routesMap = { INFO_PARAM: '/info/:param' }
+    const param = path => pathToAction(path, routesMap).payload.param
+
+    expect(param('/info/01234')).toEqual('01234')
+    expect(param('/info/1e3')).toEqual('1e3')
+    expect(param('/info/9007199254740993')).toEqual('9007199254740993')
+    expect(param('/info/-1.5')).toEqual(-1.5)
+  })
+
+  it('parse path into action using declared paramTypes', () => {
+    const codec = {
+      decode: value => value.split('-'),
+      encode: value => value.join('-')
+    }
+    const routesMap = {
+      TYPED: {
+        path: '/typed/:int/:float/:string/:boolean/:date/:custom',
+        paramTypes: {
+          int: 'int',
+          float: 'float',
+          string: 'string',
+          boolean: 'boolean',
+          date: 'date',
+          custom: codec
+        }
+      }
+    }
+
+    const action = pathToAction(
+      '/typed/69/1.50/01234/true/2017-07-31/foo-bar',
+      routesMap
+    ) /*? */
+
+    expect(action.type).toEqual('TYPED')
+    expect(action.payload).toEqual({
+      int: 69,
+      float: 1.5,
+      string: '01234',
+      boolean: true,
+      date: new Date('2017-07-31'),
+      custom: ['foo', 'bar']
+    })
+  })
+
+  it('params that fail to decode as their declared type do not match the route', () => {
+    const routesMap = {
+      USER: { path: '/user/:id', paramTypes: { id: 'int' } },
+      DAY: { path: '/day/:date', paramTypes: { date: 'date' } },
+      USER_SLUG: '/user/:slug/profile'
+    }
+
+    expect(pathToAction('/user/abc', routesMap).type).toEqual(NOT_FOUND)
+    expect(pathToAction('/user/9007199254740993', routesMap).type).toEqual(
+      NOT_FOUND
+    )
+    expect(pathToAction('/day/not-a-date', routesMap).type).toEqual(NOT_FOUND)
+    expect(pathToAction('/user/69', routesMap).payload).toEqual({ id: 69 })
+  })
+
+  it('params that fail to decode fall through to the next matching route', () => {
+    const routesMap = {
+      USER: { path: '/user/:id', paramTypes: { id: 'int' } },
+      USER_SLUG: '/user/:slug'
+    }
+
+    expect(pathToAction('/user/69', routesMap).type).toEqual('USER')
+    expect(pathToAction('/user/james', routesMap).type).toEqual('USER_SLUG')
+  })
+
+  it('parse repeated params (:path*, :path+) into arrays of segments', () => {
+    const routesMap = {
+      DOCS: '/docs/:path*',
+      VERSIONS: { path: '/versions/:ids+', paramTypes: { ids: 'int' } }
+    }
+
+    expect(pathToAction('/docs/api/v2', routesMap).payload).toEqual({
+      path: ['api', 'v2']
+    })
+    expect(pathToAction('/docs', routesMap).payload).toEqual({
+      path: undefined
+    })
+    expect(pathToAction('/versions/1/2/3', routesMap).payload).toEqual({
+      ids: [1, 2, 3]
+    })
+    expect(pathToAction('/versions/1/two', routesMap).type).toEqual(NOT_FOUND)
+  })
+
+  it('parse path into action after stripping the basename', () => {
+    const routesMap = { INFO_PARAM: '/info/:param' }
+
+    const action = pathToAction('/app/info/foo', routesMap, undefined, '/app')
+    expect(action).toEqual({
+      type: 'INFO_PARAM',
+      payload: { param: 'foo' },
+      meta: {}
+    })
+  })
+
+  it('parse path into action with meta.locale detected from the matched localized path', () => {
+    const routesMap = {
+      PRODUCT: { path: { en: '/en/products/:slug', de: '/de/produkte/:slug' } }
+    }
+
+    const action = pathToAction('/de/produkte/shoe', routesMap) /*? */
+    expect(action).toEqual({
+      type: 'PRODUCT',
+      payload: { slug: 'shoe' },
+      meta: { locale: 'de' }
+    })
+  })
+
+  it('parse path with #hash into action with meta.hash', () => {
+    const routesMap = { INFO_PARAM: '/info/:param' }
+
+    const action = pathToAction('/info/foo#bar', routesMap) /*? */
+    expect(action).toEqual({
+      type: 'INFO_PARAM',
+      payload: { param: 'foo' },
+      meta: { hash: 'bar' }
+    })
+  })
+
   it('does not parse a blank string "" as NaN', () => {
     const path = '/info'
     const routesMap = {
@@ -164,6 +614,35 @@ describe('pathToAction(path, routesMap)', () => {
     expect(action.payload[0]).toEqual('')
   })
 
+  it('parse path into action using the most specific route instead of the first declared', () => {
+    const routesMap = {
+      USER: '/users/:id',
+      NEW_USER: '/users/new'
+    }
+
+    expect(pathToAction('/users/new', routesMap).type).toEqual('NEW_USER')
+    expect(pathToAction('/users/69', routesMap).type).toEqual('USER')
+  })
+
+  it('parse path into action using nested routes resolved relative to their parent', () => {
+    const routesMap = {
+      ADMIN: {
+        path: '/admin',
+        capitalizedWords: true,
+        routes: {
+          ADMIN_USER: '/users/:name'
+        }
+      }
+    }
+
+    const action = pathToAction('/admin/users/james-gillmore', routesMap) /*? */
+    expect(action).toEqual({
+      type: 'ADMIN_USER',
+      payload: { name: 'James Gillmore' },
+      meta: {}
+    })
+  })
+
   it('parsed path not found and return NOT_FOUND action.type: "@@redux-first-router/NOT_FOUND"', () => {
     const path = '/info/foo/bar'
     const routesMap = {
@@ -242,6 +721,148 @@ describe('actionToPath(action, routesMap)', () => {
     expect(path).toEqual('/info/FooBar')
   })
 
+  it('parse action of nested route into path prefixed by its parent path: /admin/users/james-gillmore', () => {
+    const action = { type: 'ADMIN_USER', payload: { name: 'James Gillmore' } }
+    const routesMap = {
+      ADMIN: {
+        path: '/admin',
+        capitalizedWords: true,
+        routes: {
+          ADMIN_USER: '/users/:name'
+        }
+      }
+    }
+
+    const path = actionToPath(action, routesMap) /*? */
+    expect(path).toEqual('/admin/users/james-gillmore')
+  })
+
+  it('parse action into path using declared paramTypes: /typed/69/true/2017-07-31/foo-bar', () => {
+    const action = {
+      type: 'TYPED',
+      payload: {
+        id: 69,
+        flag: true,
+        date: new Date('2017-07-31'),
+        custom: ['foo', 'bar']
+      }
+    }
+    const routesMap = {
+      TYPED: {
+        path: '/typed/:id/:flag/:date/:custom',
+        capitalizedWords: true,
+        paramTypes: {
+          id: 'int',
+          flag: 'boolean',
+          date: 'date',
+          custom: {
+            decode: value => value.split('-'),
+            encode: value => value.join('-')
+          }
+        }
+      }
+    }
+
+    const path = actionToPath(action, routesMap) /*? */
+    expect(path).toEqual('/typed/69/true/2017-07-31/foo-bar')
+  })
+
+  it('parse array payload values of repeated params into multiple segments: /docs/api/v2', () => {
+    const routesMap = {
+      DOCS: { path: '/docs/:path*', capitalizedWords: true },
+      VERSIONS: { path: '/versions/:ids+', paramTypes: { ids: 'int' } }
+    }
+
+    let action = { type: 'DOCS', payload: { path: ['Api', 'Version 2'] } }
+    expect(actionToPath(action, routesMap)).toEqual('/docs/api/version-2')
+
+    action = { type: 'DOCS', payload: { path: [] } }
+    expect(actionToPath(action, routesMap)).toEqual('/docs')
+
+    action = { type: 'VERSIONS', payload: { ids: [1, 2, 3] } }
+    expect(actionToPath(action, routesMap)).toEqual('/versions/1/2/3')
+
+    // round trip
+    expect(pathToAction('/versions/1/2/3', routesMap).payload).toEqual(
+      action.payload
+    )
+  })
+
+  it('parse structured payload values into a single segment using a custom param type', () => {
+    const filters = {
+      decode: value =>
+        value.split(',').reduce((filters, pair) => {
+          const [key, val] = pair.split(':')
+          filters[key] = val
+          return filters
+        }, {}),
+      encode: filters =>
+        Object.keys(filters).map(key => `${key}:${filters[key]}`).join(',')
+    }
+    const routesMap = {
+      SEARCH: { path: '/search/:filters', paramTypes: { filters } }
+    }
+    const action = {
+      type: 'SEARCH',
+      payload: { filters: { color: 'red', size: 'xl' } }
+    }
+
+    const path = actionToPath(action, routesMap) /*? */
+    expect(path).toEqual('/search/color%3Ared%2Csize%3Axl')
+    expect(pathToAction(path, routesMap)).toEqual({ ...action, meta: {} })
+  })
+
+  it('parse action into path prefixed with the basename: /app/info/foo', () => {
+    const action = { type: 'INFO_PARAM', payload: { param: 'foo' } }
+    const routesMap = { INFO_PARAM: '/info/:param' }
+
+    const path = actionToPath(action, routesMap, undefined, '/app') /*? */
+    expect(path).toEqual('/app/info/foo')
+  })
+
+  it('parse action into the path of the given locale: /de/produkte/shoe', () => {
+    const action = { type: 'PRODUCT', payload: { slug: 'shoe' } }
+    const routesMap = {
+      PRODUCT: { path: { en: '/en/products/:slug', de: '/de/produkte/:slug' } }
+    }
+
+    const path = actionToPath(action, routesMap, undefined, '', 'de') /*? */
+    expect(path).toEqual('/de/produkte/shoe')
+
+    // unknown locales fall back to the first one
+    expect(actionToPath(action, routesMap, undefined, '', 'fr')).toEqual(
+      '/en/products/shoe'
+    )
+  })
+
+  it('parse action with hash into path with #hash: /info/foo#bar', () => {
+    const routesMap = { INFO_PARAM: '/info/:param' }
+    const payload = { param: 'foo' }
+
+    let path = actionToPath(
+      { type: 'INFO_PARAM', payload, hash: 'bar' },
+      routesMap
+    )
+    expect(path).toEqual('/info/foo#bar')
+
+    path = actionToPath(
+      { type: 'INFO_PARAM', payload, meta: { hash: '#bar' } },
+      routesMap
+    )
+    expect(path).toEqual('/info/foo#bar')
+  })
+
+  it('throw error when payload values do not match their declared paramTypes', () => {
+    const routesMap = {
+      USER: { path: '/user/:id', paramTypes: { id: 'int' } }
+    }
+
+    const performMatch = () =>
+      actionToPath({ type: 'USER', payload: { id: 'abc' } }, routesMap)
+
+    expect(performMatch).toThrowError()
+  })
+
   it('throw error when parsing non-matched action', () => {
     const routesMap = {
       INFO: { path: '/info' }
@@ -262,6 +883,213 @@ describe('actionToPath(action, routesMap)', () => {
   })
 })
 
+describe('callRouteGuards(leaving, entering, action, store)', () => {
+  const store = { getState: () => ({}), dispatch: () => {} }
+  const action = { type: 'SECOND' }
+
+  it('calls beforeLeave and then beforeEnter, synchronously unless a guard returns a promise', async () => {
+    const calls = []
+    const beforeLeave = () => {
+      calls.push('leave')
+    }
+    const beforeEnter = () => {
+      calls.push('enter')
+    }
+
+    const result = callRouteGuards(
+      { path: '/', beforeLeave },
+      { path: '/second', beforeEnter },
+      action,
+      store
+    )
+
+    expect(result).not.toBeDefined()
+    expect(calls).toEqual(['leave', 'enter'])
+
+    const asyncLeave = () => Promise.resolve(true)
+    const promise = callRouteGuards(
+      { path: '/', beforeLeave: asyncLeave },
+      { path: '/second', beforeEnter },
+      action,
+      store
+    )
+
+    expect(calls).toEqual(['leave', 'enter'])
+    await promise
+    expect(calls).toEqual(['leave', 'enter', 'enter'])
+  })
+
+  it('does not call beforeEnter when beforeLeave cancels or redirects', () => {
+    const beforeEnter = jest.fn()
+    const entering = { path: '/second', beforeEnter }
+
+    expect(
+      callRouteGuards(
+        { path: '/', beforeLeave: () => false },
+        entering,
+        action,
+        store
+      )
+    ).toEqual(false)
+    expect(
+      callRouteGuards(
+        { path: '/', beforeLeave: () => ({ type: 'HOME' }) },
+        entering,
+        action,
+        store
+      )
+    ).toEqual({ type: 'HOME' })
+    expect(callRouteGuards('/', '/second', action, store)).not.toBeDefined()
+    expect(beforeEnter).not.toHaveBeenCalled()
+  })
+})
+
+describe('stripBasename(path, basename)', () => {
+  it('removes the basename from paths under it', () => {
+    expect(stripBasename('/app/users/1', '/app')).toEqual('/users/1')
+    expect(stripBasename('/app/users/1', '/app/')).toEqual('/users/1')
+    expect(stripBasename('/app/users/1', 'app')).toEqual('/users/1')
+    expect(stripBasename('/app', '/app')).toEqual('/')
+    expect(stripBasename('/app?foo=bar', '/app')).toEqual('/?foo=bar')
+  })
+
+  it('returns paths not under the basename as is', () => {
+    expect(stripBasename('/application', '/app')).toEqual('/application')
+    expect(stripBasename('/users/1', '/app')).toEqual('/users/1')
+    expect(stripBasename('/users/1', undefined)).toEqual('/users/1')
+    expect(stripBasename('/users/1', '/')).toEqual('/users/1')
+  })
+
+  it('prependBasename() adds the basename', () => {
+    expect(prependBasename('/users/1', '/app/')).toEqual('/app/users/1')
+    expect(prependBasename('/users/1', '')).toEqual('/users/1')
+  })
+})
+
+describe('createAbortController()', () => {
+  it('signals abort once to `onabort` and event listeners, even without a native AbortController', () => {
+    const NativeAbortController = global.AbortController
+    delete global.AbortController
+
+    const controller = createAbortController()
+    const listener = jest.fn()
+    const removed = jest.fn()
+    controller.signal.onabort = jest.fn()
+    controller.signal.addEventListener('abort', listener)
+    controller.signal.addEventListener('abort', removed)
+    controller.signal.removeEventListener('abort', removed)
+
+    controller.abort()
+    controller.abort()
+
+    expect(controller.signal.aborted).toEqual(true)
+    expect(controller.signal.onabort).toHaveBeenCalledTimes(1)
+    expect(listener).toHaveBeenCalledTimes(1)
+    expect(removed).not.toBeCalled()
+
+    global.AbortController = NativeAbortController
+  })
+})
+
+describe('createSessionHistory(history, storage)', () => {
+  const createStorage = () => {
+    const items = {}
+    return {
+      getItem: key => (key in items ? items[key] : null),
+      setItem: (key, value) => {
+        items[key] = value
+      }
+    }
+  }
+
+  const paths = ({ entries }) => entries.map(entry => entry.pathname)
+
+  // entries are told apart by the keys `history` generates via `Math.random`
+  const withUniqueKeys = test => () => {
+    const random = Math.random
+    let count = 0
+    Math.random = () => ++count / 1000
+
+    try {
+      test()
+    }
+    finally {
+      Math.random = random
+    }
+  }
+
+  it(
+    'tracks pushed, replaced and popped entries by their key',
+    withUniqueKeys(() => {
+      const history = createMemoryHistory({ initialEntries: ['/first'] })
+      const session = createSessionHistory(history, createStorage())
+
+      history.push('/second')
+      history.push('/third')
+      expect(paths(session)).toEqual(['/first', '/second', '/third'])
+      expect(session.index).toEqual(2)
+      expect(session.length).toEqual(3)
+
+      history.go(-2)
+      expect(session.index).toEqual(0)
+
+      history.goForward()
+      history.replace('/replaced')
+      expect(paths(session)).toEqual(['/first', '/replaced', '/third'])
+      expect(session.index).toEqual(1)
+
+      history.push('/fourth') // drops the entries ahead
+      expect(paths(session)).toEqual(['/first', '/replaced', '/fourth'])
+      expect(session.length).toEqual(3)
+    })
+  )
+
+  it(
+    'restores the entries from storage, e.g. after a reload',
+    withUniqueKeys(() => {
+      const storage = createStorage()
+      const history = createMemoryHistory({ initialEntries: ['/first'] })
+      createSessionHistory(history, storage)
+
+      history.push('/second')
+      history.push('/third')
+      history.goBack()
+
+      // reload on '/second', whose entry keeps its key
+      const reloaded = createMemoryHistory({
+        initialEntries: [history.location]
+      })
+      const session = createSessionHistory(reloaded, storage)
+
+      expect(paths(session)).toEqual(['/first', '/second', '/third'])
+      expect(session.index).toEqual(1)
+      expect(JSON.parse(storage.getItem(STORAGE_KEY)).length).toEqual(3)
+    })
+  )
+
+  it('starts over when the current location is unknown or storage fails', () => {
+    const storage = createStorage()
+    storage.setItem(STORAGE_KEY, JSON.stringify([{ pathname: '/a', key: 'a' }]))
+
+    const history = createMemoryHistory({ initialEntries: ['/first'] })
+    history.push('/second')
+    expect(paths(createSessionHistory(history, storage))).toEqual(['/second'])
+
+    const failing = {
+      getItem: () => {
+        throw new Error('SecurityError')
+      },
+      setItem: () => {
+        throw new Error('QuotaExceededError')
+      }
+    }
+    const session = createSessionHistory(history, failing)
+
+    history.push('/third')
+    expect(paths(session)).toEqual(['/second', '/third'])
+  })
+})
+
 describe('changePageTitle()', () => {
   it('when title changes set it to document.title', () => {
     const document = {}
@@ -283,3 +1111,334 @@ describe('changePageTitle()', () => {
     expect(ret).toEqual(null) // no return value when title does not change
   })
 })
+
+describe('createHeadSelector()', () => {
+  const selectLocationState = state => state.location
+  const selectTitleState = state => state.title
+  const state = {
+    title: 'State title',
+    users: { 5: 'Jane' },
+    location: { type: 'USER', payload: { id: 5 }, pathname: '/user/5' }
+  }
+
+  it('returns the title and head of the current route, with dynamic values selected from state and the action', () => {
+    const routesMap = {
+      USER: {
+        path: '/user/:id',
+        title: (state, action) => state.users[action.payload.id],
+        head: (state, action) => ({
+          description: `Profile of ${state.users[action.payload.id]}`,
+          canonical: `https://example.com/user/${action.payload.id}`
+        })
+      }
+    }
+    const selectHead = createHeadSelector(
+      routesMap,
+      selectLocationState,
+      selectTitleState
+    )
+
+    expect(selectHead(state)).toEqual({
+      title: 'Jane',
+      description: 'Profile of Jane',
+      canonical: 'https://example.com/user/5'
+    })
+  })
+
+  it('falls back to the title state and wraps the title in the titleTemplate', () => {
+    const routesMap = {
+      USER: { path: '/user/:id', head: { robots: 'noindex' } }
+    }
+    let selectHead = createHeadSelector(
+      routesMap,
+      selectLocationState,
+      selectTitleState,
+      '%s | My App'
+    )
+
+    expect(selectHead(state)).toEqual({
+      title: 'State title | My App',
+      robots: 'noindex'
+    })
+
+    selectHead = createHeadSelector(
+      { USER: { path: '/user/:id', title: 'User' } },
+      selectLocationState,
+      selectTitleState,
+      title => `My App - ${title}`
+    )
+
+    expect(selectHead(state)).toEqual({ title: 'My App - User' })
+  })
+})
+
+describe('changeHead()', () => {
+  it('adds, updates and removes the meta tags and canonical link the routes declare', () => {
+    const meta = document.createElement('meta')
+    meta.setAttribute('name', 'description')
+    meta.setAttribute('content', 'static')
+    document.head.appendChild(meta)
+
+    changeHead(document, {
+      title: 'ignored',
+      description: 'Profile',
+      robots: 'noindex',
+      canonical: 'https://example.com/user/5'
+    })
+
+    const select = selector => document.head.querySelector(selector)
+    expect(select('meta[name="description"]')).toBe(meta)
+    expect(meta.getAttribute('content')).toEqual('Profile')
+    expect(select('meta[name="robots"]').getAttribute('content')).toEqual(
+      'noindex'
+    )
+    expect(select('link[rel="canonical"]').getAttribute('href')).toEqual(
+      'https://example.com/user/5'
+    )
+    expect(select('meta[name="title"]')).toEqual(null)
+
+    changeHead(document, { description: 'Home' })
+
+    expect(meta.getAttribute('content')).toEqual('Home')
+    expect(select('meta[name="robots"]')).toEqual(null)
+    expect(select('link[rel="canonical"]')).toEqual(null)
+
+    changeHead(document, {})
+    expect(select('meta[name="description"]')).toEqual(null)
+  })
+
+  it('does nothing without a DOM (server side)', () => {
+    const doc = {}
+    changeHead(doc, { description: 'Profile' })
+    expect(doc).toEqual({})
+  })
+})
+
+it('renderHead() renders escaped title, meta and canonical link tags', () => {
+  const html = renderHead({
+    title: 'Tom & Jerry',
+    description: 'A "cat" <and> mouse',
+    canonical: 'https://example.com/?a=1&b=2'
+  })
+
+  expect(html).toEqual(
+    [
+      '<title>Tom &amp; Jerry</title>',
+      '<meta name="description" content="A &quot;cat&quot; &lt;and&gt; mouse" data-rfr-head>',
+      '<link rel="canonical" href="https://example.com/?a=1&amp;b=2" data-rfr-head>'
+    ].join('\n')
+  )
+})
+
+describe('matchPath(path, routePath, options)', () => {
+  it('returns the params of matching paths, decoded like `pathToAction` does', () => {
+    expect(matchPath('/user/5', '/user/:id')).toEqual({ id: 5 })
+    expect(matchPath('/user/5?foo=bar#baz', '/user/:id')).toEqual({ id: 5 })
+    expect(matchPath('/', '/')).toEqual({})
+
+    const route = { path: '/user/:name', paramTypes: { name: 'string' } }
+    expect(matchPath('/user/5', route)).toEqual({ name: '5' })
+    expect(
+      matchPath('/user/jane-doe', { path: route.path, capitalizedWords: true })
+    ).toEqual({ name: 'Jane Doe' })
+  })
+
+  it('returns null for paths that do not match', () => {
+    expect(matchPath('/user/5/edit', '/user/:id')).toEqual(null)
+    expect(matchPath('/users', '/user/:id')).toEqual(null)
+    expect(matchPath('/user/abc', '/user/:id(\\d+)')).toEqual(null)
+  })
+
+  it('`partial` also matches the paths nested below the route path', () => {
+    const options = { partial: true }
+
+    expect(matchPath('/user/5/edit', '/user/:id', options)).toEqual({ id: 5 })
+    expect(matchPath('/user/5', '/user/:id/', options)).toEqual({ id: 5 })
+    expect(matchPath('/admin/users', '/', options)).toEqual({})
+    expect(matchPath('/users/5', '/user/:id', options)).toEqual(null)
+  })
+
+  it('ignores the redirect, aliases and child routes of route objects', () => {
+    const route = {
+      path: '/shop/:id',
+      redirect: 'PRODUCT',
+      aliases: ['/store/:id'],
+      routes: { REVIEWS: '/reviews' }
+    }
+
+    expect(matchPath('/shop/5', route)).toEqual({ id: 5 })
+    expect(matchPath('/store/5', route)).toEqual(null)
+    expect(matchPath('/shop/5/reviews', route)).toEqual(null)
+  })
+})
+
+describe('isActive(actionOrPath, locationState, options)', () => {
+  const routesMap = {
+    ADMIN: '/admin',
+    ADMIN_USERS: '/admin/users',
+    USER: '/user/:id',
+    PRODUCT: { path: { en: '/products/:id', de: '/produkte/:id' } }
+  }
+
+  const location = (pathname, extra) => ({
+    pathname,
+    type: '',
+    payload: {},
+    routesMap,
+    ...extra
+  })
+
+  it('compares the paths of actions as `actionToPath` generates them', () => {
+    const current = location('/user/5')
+
+    expect(isActive({ type: 'USER', payload: { id: 5 } }, current)).toEqual(
+      true
+    )
+    expect(isActive({ type: 'USER', payload: { id: 6 } }, current)).toEqual(
+      false
+    )
+    expect(isActive({ type: 'USER', payload: {} }, current)).toEqual(false) // no path
+    expect(isActive({ type: 'UNKNOWN' }, current)).toEqual(false)
+  })
+
+  it('compares paths, ignoring trailing slashes', () => {
+    expect(isActive('/user/5/', location('/user/5'))).toEqual(true)
+    expect(isActive('/user/5', location('/user/6'))).toEqual(false)
+  })
+
+  it('uses the locale of the location for routes with localized paths', () => {
+    const current = location('/produkte/shoe', { locale: 'de' })
+    const action = { type: 'PRODUCT', payload: { id: 'shoe' } }
+
+    expect(isActive(action, current)).toEqual(true)
+    expect(isActive({ ...action, meta: { locale: 'en' } }, current)).toEqual(
+      false
+    )
+  })
+
+  it('`partial` also matches the pathnames nested below, for sections', () => {
+    const current = location('/admin/users')
+
+    expect(isActive({ type: 'ADMIN' }, current)).toEqual(false)
+    expect(isActive({ type: 'ADMIN' }, current, { partial: true })).toEqual(
+      true
+    )
+    expect(isActive('/adm', current, { partial: true })).toEqual(false)
+    expect(isActive('/', current, { partial: true })).toEqual(true)
+  })
+
+  it('the query of the link must be part of the current one, all of it when `exact`', () => {
+    const current = location('/admin/users', {
+      query: { page: '2', sort: 'name' },
+      search: 'page=2&sort=name'
+    })
+    const action = { type: 'ADMIN_USERS', query: { page: 2 } }
+
+    expect(isActive(action, current)).toEqual(true)
+    expect(isActive(action, current, { exact: true })).toEqual(false)
+    expect(isActive({ ...action, query: { page: 3 } }, current)).toEqual(false)
+    expect(
+      isActive({ ...action, query: { page: 3 } }, current, {
+        ignoreQuery: true
+      })
+    ).toEqual(true)
+
+    expect(isActive('/admin/users?sort=name', current)).toEqual(true)
+    expect(isActive('/admin/users?sort=date', current)).toEqual(false)
+    expect(
+      isActive('/admin/users?sort=name&page=2', current, { exact: true })
+    ).toEqual(true)
+  })
+
+  it('`exact` compares the hash too', () => {
+    const current = location('/admin', { hash: 'team' })
+
+    expect(isActive('/admin', current)).toEqual(true)
+    expect(isActive('/admin', current, { exact: true })).toEqual(false)
+    expect(isActive('/admin#team', current, { exact: true })).toEqual(true)
+  })
+})
+
+describe('createLocationSelectors(selectLocationState)', () => {
+  const state = (type, payload, extra) => ({
+    location: {
+      pathname: '/',
+      type,
+      payload,
+      prev: { pathname: '/prev', type: 'PREV', payload: {} },
+      ...extra
+    }
+  })
+
+  const selectors = () => createLocationSelectors(state => state.location)
+
+  it('selects the type, payload, params, query and previous location', () => {
+    const {
+      selectType,
+      selectPayload,
+      selectParam,
+      selectQuery,
+      selectPrev
+    } = selectors()
+    const current = state('USER', { id: 5 }, { query: { tab: 'posts' } })
+
+    expect(selectType(current)).toEqual('USER')
+    expect(selectPayload(current)).toEqual({ id: 5 })
+    expect(selectParam('id')(current)).toEqual(5)
+    expect(selectQuery(current)).toEqual({ tab: 'posts' })
+    expect(selectPrev(current).type).toEqual('PREV')
+  })
+
+  it('returns the previous references of values that did not change', () => {
+    const { selectPayload, selectQuery, selectPrev } = selectors()
+    const first = state(
+      'USER',
+      { id: 5, tags: ['a'] },
+      { query: { page: '1' } }
+    )
+    const second = state(
+      'USER',
+      { id: 5, tags: ['a'] },
+      { query: { page: '1' } }
+    )
+    const third = state('USER', { id: 6, tags: ['a'] })
+
+    const payload = selectPayload(first)
+    const query = selectQuery(first)
+    const prev = selectPrev(first)
+
+    expect(selectPayload(second)).toBe(payload)
+    expect(selectQuery(second)).toBe(query)
+    expect(selectPrev(second)).toBe(prev)
+
+    expect(selectPayload(third)).not.toBe(payload)
+    expect(selectPayload(third)).toEqual({ id: 6, tags: ['a'] })
+    expect(selectQuery(third)).toEqual(undefined)
+  })
+
+  it('compares objects other than plain objects and arrays by reference', () => {
+    const { selectParam } = selectors()
+    const selectDate = selectParam('date')
+    const date = new Date('2017-07-31')
+    const sameDate = new Date('2017-07-31')
+
+    expect(selectDate(state('DAY', { date }))).toBe(date)
+    expect(selectDate(state('DAY', { date: sameDate }))).toBe(sameDate)
+  })
+
+  it('selectParam(name) and selectIsRoute(type) return the same selector per argument', () => {
+    const { selectParam, selectIsRoute } = selectors()
+
+    expect(selectParam('id')).toBe(selectParam('id'))
+    expect(selectIsRoute('USER')).toBe(selectIsRoute('USER'))
+  })
+
+  it('selectIsRoute(type) is true for the current route and the routes it is nested in', () => {
+    const { selectIsRoute } = selectors()
+    const current = state('ADMIN_USERS', {}, { parents: ['ADMIN'] })
+
+    expect(selectIsRoute('ADMIN_USERS')(current)).toEqual(true)
+    expect(selectIsRoute('ADMIN')(current)).toEqual(true)
+    expect(selectIsRoute('USER')(current)).toEqual(false)
+  })
+})
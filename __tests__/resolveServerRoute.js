@@ -0,0 +1,165 @@
+import { createStore, applyMiddleware, compose, combineReducers } from 'redux'
+
+import resolveServerRoute from '../src/resolveServerRoute'
+import * as server from '../src/server'
+import * as main from '../src/index'
+import redirect from '../src/action-creators/redirect'
+
+const configureStore = ({ reducer, middleware, enhancer }) =>
+  createStore(
+    combineReducers({
+      location: reducer,
+      user: (state = null, action) =>
+        action.type === 'USER_FOUND' ? action.payload : state
+    }),
+    compose(enhancer, applyMiddleware(middleware))
+  )
+
+const routesMap = {
+  HOME: { path: '/', title: 'Home' },
+  USER: {
+    path: '/user/:id',
+    title: state => state.user.name, // throws until the thunk loaded the user
+    thunk: async (dispatch, getState) => {
+      const { id } = getState().location.payload
+      await Promise.resolve()
+
+      if (id === 0) {
+        dispatch(redirect({ type: 'HOME' }))
+      }
+      else {
+        dispatch({ type: 'USER_FOUND', payload: { id, name: `User ${id}` } })
+      }
+    }
+  },
+  PROFILE: { path: '/profile/:id', aliases: ['/u/:id'], redirect: 'USER' },
+  LOOP_A: {
+    path: '/a',
+    thunk: async dispatch => dispatch(redirect({ type: 'LOOP_B' }))
+  },
+  LOOP_B: {
+    path: '/b',
+    thunk: async dispatch => dispatch(redirect({ type: 'LOOP_A' }))
+  },
+  OLD: { path: '/old', redirect: () => ({ type: 'NEW' }) },
+  NEW: { path: '/new', redirect: () => ({ type: 'OLD' }) },
+  LOGIN: '/login',
+  ACCOUNT: '/account'
+}
+
+// simulate the server, where route thunks are only called by `resolveServerRoute`
+const resolve = async (url, options) => {
+  window.SSRtest = true
+
+  try {
+    return await resolveServerRoute({
+      url,
+      routesMap,
+      options,
+      createStore: configureStore
+    })
+  }
+  finally {
+    delete window.SSRtest
+  }
+}
+
+it('resolves the store, status 200 and title once the route thunk settles', async () => {
+  const { status, redirectUrl, store, title, head } = await resolve('/user/5')
+
+  expect(status).toEqual(200)
+  expect(head).toEqual({ title: 'User 5' })
+  expect(redirectUrl).not.toBeDefined()
+  expect(store.getState().user).toEqual({ id: 5, name: 'User 5' })
+  expect(store.getState().location.hasSSR).toEqual(true)
+  expect(title).toEqual('User 5')
+})
+
+it('resolves status 404 for NOT_FOUND', async () => {
+  const { status, redirectUrl, store } = await resolve('/nothing/here')
+
+  expect(status).toEqual(404)
+  expect(redirectUrl).not.toBeDefined()
+  expect(store.getState().location.pathname).toEqual('/nothing/here')
+})
+
+it('resolves status 302 and the redirect URL when a route thunk redirects, awaiting its thunk too', async () => {
+  const { status, redirectUrl, title } = await resolve('/user/0')
+
+  expect(status).toEqual(302)
+  expect(redirectUrl).toEqual('/')
+  expect(title).toEqual('Home')
+})
+
+it('resolves status 301 for redirects declared in the routesMap', async () => {
+  let route = await resolve('/u/7')
+
+  expect(route.status).toEqual(301)
+  expect(route.redirectUrl).toEqual('/user/7')
+  expect(route.store.getState().user).toEqual({ id: 7, name: 'User 7' })
+
+  route = await resolve('/app/profile/8', { basename: '/app' })
+
+  expect(route.status).toEqual(301)
+  expect(route.redirectUrl).toEqual('/app/user/8')
+})
+
+it('awaits onBeforeChange before resolving its redirect', async () => {
+  const onBeforeChange = (dispatch, getState, action) =>
+    action.type === 'USER'
+      ? Promise.resolve({ type: 'HOME' }) // e.g. not logged in
+      : undefined
+
+  const { status, redirectUrl } = await resolve('/user/5', { onBeforeChange })
+
+  expect(status).toEqual(302)
+  expect(redirectUrl).toEqual('/')
+})
+
+it('rejects when route thunks redirect in a loop', async () => {
+  const error = await resolve('/a').catch(e => e)
+
+  expect(error.message).toEqual(
+    '[redux-first-router] redirect loop detected: /a -> /b -> /a'
+  )
+})
+
+it('rejects when `onBeforeChange` redirects in a loop', async () => {
+  const onBeforeChange = (dispatch, getState, action) =>
+    action.type === 'ACCOUNT' ? { type: 'LOGIN' } : { type: 'ACCOUNT' }
+
+  const error = await resolve('/account', { onBeforeChange }).catch(e => e)
+
+  expect(error.message).toEqual(
+    '[redux-first-router] redirect loop detected: /account -> /login -> /account'
+  )
+})
+
+it('rejects when declared `redirect`s redirect in a loop', async () => {
+  const error = await resolve('/old').catch(e => e)
+
+  expect(error.message).toEqual(
+    '[redux-first-router] redirect loop detected: /old -> /new -> /old'
+  )
+})
+
+it('does not redirect URLs with a query string the location state leaves out', async () => {
+  const { status, redirectUrl, store } = await resolve('/login?x=1')
+
+  expect(store.getState().location.search).not.toBeDefined() // no `querySerializer`
+  expect(status).toEqual(200)
+  expect(redirectUrl).not.toBeDefined()
+})
+
+it('does not redirect percent-encoded paths', async () => {
+  const { status, redirectUrl, store } = await resolve('/user/caf%C3%A9')
+
+  expect(store.getState().location.pathname).toEqual('/user/café')
+  expect(status).toEqual(200)
+  expect(redirectUrl).not.toBeDefined()
+})
+
+it('is exported from the server entry only, keeping it out of client bundles', () => {
+  expect(server.resolveServerRoute).toBe(resolveServerRoute)
+  expect(main.resolveServerRoute).not.toBeDefined()
+})
@@ -0,0 +1,11 @@
+// `AbortController` isn't in Flow's lib defs yet. Only the parts route thunks
+// are likely to use are declared (see src/pure-utils/createAbortController.js)
+declare class AbortController {
+  signal: {
+    aborted: boolean,
+    onabort: ?Function,
+    addEventListener: (type: string, listener: Function) => void,
+    removeEventListener: (type: string, listener: Function) => void
+  };
+  abort: () => void;
+}
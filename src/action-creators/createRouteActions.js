@@ -0,0 +1,69 @@
+// @flow
+import actionToPath from '../pure-utils/actionToPath'
+import { getMatcher } from '../pure-utils/createMatcher'
+import type {
+  RoutesMap,
+  Matcher,
+  Params,
+  QuerySerializer,
+  RouteActionCreator,
+  RouteActions
+} from '../flow-types'
+
+/** Creates an action creator per route of a routesMap (nested routes included),
+ *  instead of hand-writing `id => ({ type: 'USER', payload: { id } })` for each:
+ *
+ *  `const { USER } = createRouteActions({ USER: '/user/:id' })`
+ *
+ *  `USER({ id: 5 })` -> `{ type: 'USER', payload: { id: 5 } }`, while `USER()` throws,
+ *  as `id` is required by the route's path. `USER.type` is the route type for
+ *  reducers, and `USER.toPath({ id: 5 })` is `actionToPath` of the action for links.
+ *
+ *  With Flow, annotate the returned map with a `RouteActionCreator<P>` per route to
+ *  type their params, e.g. `{ USER: RouteActionCreator<{ id: number }> }`.
+*/
+
+export default (routesMap: RoutesMap | Matcher): RouteActions => {
+  const matcher = getMatcher(routesMap)
+
+  return Object.keys(matcher.compiled).reduce((actions, type) => {
+    actions[type] = createRouteAction(matcher, type)
+    return actions
+  }, {})
+}
+
+const createRouteAction = (
+  matcher: Matcher,
+  type: string
+): RouteActionCreator<Params> => {
+  // optional params (`:id?`, `:path*`) can be omitted
+  const required = matcher.compiled[type].keys
+    .filter(key => !key.optional)
+    .map(key => key.name)
+
+  const actionCreator = (payload: Params = {}, meta?: Object) => {
+    const missing = required.filter(
+      name => typeof payload[name] === 'undefined' || payload[name] === null
+    )
+
+    if (missing.length) {
+      throw new Error(
+        `[redux-first-router] missing params for route "${type}": ${missing.join(
+          ', '
+        )}`
+      )
+    }
+
+    return meta ? { type, payload, meta } : { type, payload }
+  }
+
+  const toPath = (
+    payload?: Params,
+    serializer?: QuerySerializer,
+    basename?: string,
+    locale?: ?string
+  ): string =>
+    actionToPath(actionCreator(payload), matcher, serializer, basename, locale)
+
+  return Object.assign(actionCreator, { type, toPath })
+}
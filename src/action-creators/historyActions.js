@@ -0,0 +1,24 @@
+// @flow
+import { BACK, NEXT, GO, PUSH_PATH, REPLACE_PATH } from '../index'
+
+/** Action creators for navigating the history via `dispatch`, so navigation shows
+ *  up in redux logs and can be dispatched from sagas, epics and tests. The
+ *  middleware performs them on `history`, which dispatches the matched route
+ *  action in turn--just like the browser's back/next buttons.
+*/
+
+export const goBack = () => ({ type: BACK })
+
+export const goForward = () => ({ type: NEXT })
+
+export const goBy = (n: number) => ({ type: GO, payload: { n } })
+
+export const pushPath = (path: string) => ({
+  type: PUSH_PATH,
+  payload: { path }
+})
+
+export const replacePath = (path: string) => ({
+  type: REPLACE_PATH,
+  payload: { path }
+})
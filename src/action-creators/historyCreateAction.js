@@ -1,17 +1,20 @@
 // @flow
 import type {
   RoutesMap,
+  Matcher,
   Location,
   Action,
   History,
   QuerySerializer
 } from '../flow-types'
 import pathToAction from '../pure-utils/pathToAction'
+import actionToPath from '../pure-utils/actionToPath'
 import nestAction from '../pure-utils/nestAction'
+import { NOT_FOUND } from '../index'
 
 export default (
   pathname: string,
-  routesMap: RoutesMap,
+  routesMap: RoutesMap | Matcher,
   prevLocation: Location,
   history: History,
   kind: string,
@@ -20,10 +23,49 @@ export default (
   prevLength?: number
 ): Action => {
   const action = pathToAction(pathname, routesMap, serializer)
+
+  if (action.meta && action.meta.redirectStatus) {
+    return nestRedirect(
+      pathname,
+      action,
+      routesMap,
+      prevLocation,
+      history,
+      kind,
+      serializer
+    )
+  }
+
   kind = getKind(!!history.entries, history, kind, prevPath, prevLength)
   return nestAction(pathname, action, prevLocation, history, kind)
 }
 
+// paths matched by `aliases` or routes with a `redirect` are replaced in the address
+// bar by the path of the route they point to
+const nestRedirect = (
+  pathname: string,
+  action: Object,
+  routesMap: RoutesMap | Matcher,
+  prevLocation: Location,
+  history: History,
+  kind: string,
+  serializer?: QuerySerializer
+): Action => {
+  try {
+    const path = actionToPath(action, routesMap, serializer)
+    return nestAction(path, action, prevLocation, history, 'redirect')
+  }
+  catch (e) {
+    // the payload doesn't fit the path of the route redirected to
+    const notFound = {
+      type: NOT_FOUND,
+      payload: {},
+      meta: { notFoundPath: pathname }
+    }
+    return nestAction(pathname, notFound, prevLocation, history, kind)
+  }
+}
+
 const getKind = (
   isMemoryHistory: boolean,
   history: History,
@@ -1,6 +1,7 @@
 // @flow
 import type {
   RoutesMap,
+  Matcher,
   Location,
   Action,
   ReceivedAction,
@@ -8,20 +9,41 @@ import type {
   QuerySerializer
 } from '../flow-types'
 import actionToPath from '../pure-utils/actionToPath'
+import { getMatcher, getCompiledRoute } from '../pure-utils/createMatcher'
 import nestAction from '../pure-utils/nestAction'
+import pathnamePlusSearch, { stripHash } from '../pure-utils/pathnamePlusSearch'
 import { NOT_FOUND } from '../index'
 
 export default (
   action: Object,
-  routesMap: RoutesMap,
+  routesMap: RoutesMap | Matcher,
   prevLocation: Location,
   history: History,
   notFoundPath: string,
-  serializer?: QuerySerializer
+  serializer?: QuerySerializer,
+  locale?: ?string
 ): Action => {
   try {
-    const pathname = actionToPath(action, routesMap, serializer)
-    const kind = getKind(!!history.entries, pathname, history, action)
+    const pathname = actionToPath(action, routesMap, serializer, '', locale)
+    const compiled = getCompiledRoute(
+      getMatcher(routesMap),
+      action.type,
+      locale
+    )
+
+    if (compiled && compiled.locale) {
+      // the locale of the path the action was matched to, which may be the route's
+      // first locale when it isn't localized in the requested one
+      action = { ...action, meta: { ...action.meta, locale: compiled.locale } }
+    }
+
+    const kind = getKind(
+      !!history.entries,
+      pathname,
+      history,
+      action,
+      prevLocation
+    )
     return nestAction(pathname, action, prevLocation, history, kind)
   }
   catch (e) {
@@ -47,13 +69,17 @@ const getKind = (
   isMemoryHistory: boolean,
   pathname: string,
   history: History,
-  action: ReceivedAction
+  action: ReceivedAction,
+  prevLocation: Location
 ): ?string => {
   const kind = action.meta && action.meta.location && action.meta.location.kind
 
   if (kind) {
     return kind
   }
+  else if (isHashChange(pathname, prevLocation)) {
+    return 'hash'
+  }
   else if (!isMemoryHistory) {
     return 'push'
   }
@@ -70,6 +96,12 @@ const getKind = (
   return 'push'
 }
 
+// only the `#hash` differs from the previous location
+const isHashChange = (path: string, prev: Location): boolean =>
+  !!prev.type &&
+  path !== pathnamePlusSearch(prev) &&
+  stripHash(path) === pathnamePlusSearch({ ...prev, hash: undefined })
+
 const goingBack = (hist: History, path: string): boolean => {
   const prev = hist.entries[hist.index - 1]
   return prev && prev.pathname === path
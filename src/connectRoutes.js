@@ -2,23 +2,50 @@
 import type { StoreEnhancer } from 'redux'
 
 import pathToAction from './pure-utils/pathToAction'
-import { nestHistory } from './pure-utils/nestAction'
+import { getMatcher, getCompiledRoute } from './pure-utils/createMatcher'
+import { warnShadowedRoutes } from './pure-utils/rankRoutes'
+import { nestHistory, stripEntryBasename } from './pure-utils/nestAction'
 import isLocationAction from './pure-utils/isLocationAction'
 import isServer from './pure-utils/isServer'
 import isReactNative from './pure-utils/isReactNative'
 import changePageTitle, { getDocument } from './pure-utils/changePageTitle'
+import changeHead from './pure-utils/changeHead'
+import createHeadSelector from './pure-utils/createHeadSelector'
+import createLocationSelectors from './pure-utils/createLocationSelectors'
 import attemptCallRouteThunk from './pure-utils/attemptCallRouteThunk'
 import createThunk from './pure-utils/createThunk'
-import pathnamePlusSearch from './pure-utils/pathnamePlusSearch'
+import createAbortController from './pure-utils/createAbortController'
+import createSessionHistory from './pure-utils/createSessionHistory'
+import getHistoryIndex, {
+  stampHistoryIndex,
+  canStampHistory
+} from './pure-utils/historyIndex'
+import pathnamePlusSearch, { stripHash } from './pure-utils/pathnamePlusSearch'
+import scrollToAnchor from './pure-utils/scrollToAnchor'
+import callRouteGuards, {
+  isRedirect,
+  isProceeding
+} from './pure-utils/callRouteGuards'
+import whenSettled from './pure-utils/whenSettled'
+import thenableAction from './pure-utils/thenableAction'
+import stripBasename, { prependBasename } from './pure-utils/stripBasename'
 
 import historyCreateAction from './action-creators/historyCreateAction'
 import middlewareCreateAction from './action-creators/middlewareCreateAction'
 import middlewareCreateNotFoundAction from './action-creators/middlewareCreateNotFoundAction'
+import redirect from './action-creators/redirect'
 
 import createLocationReducer, {
   getInitialState
 } from './reducer/createLocationReducer'
-import { NOT_FOUND } from './index'
+import {
+  NOT_FOUND,
+  BACK,
+  NEXT,
+  GO,
+  PUSH_PATH,
+  REPLACE_PATH
+} from './index'
 
 import type {
   Dispatch as Next,
@@ -31,13 +58,30 @@ import type {
   Location,
   LocationState,
   History,
+  HistoryData,
   HistoryLocation,
   Document,
-  Store
+  Store,
+  NavigationBlocker,
+  AbortSignal,
+  SelectLocationState,
+  SelectLocale,
+  Selector,
+  Payload
 } from './flow-types'
 
 const __DEV__ = process.env.NODE_ENV !== 'production'
 
+const DEFAULT_BLOCKING_MESSAGE = 'Are you sure you want to leave this page?'
+
+// actions the middleware performs on `history`, see `_middlewareNavigateHistory`
+const isHistoryAction = ({ type }: Object): boolean =>
+  type === BACK ||
+  type === NEXT ||
+  type === GO ||
+  type === PUSH_PATH ||
+  type === REPLACE_PATH
+
 /** PRIMARY EXPORT - `connectRoutes(history, routeMap, options)`:
  *
  *  PURPOSE: to provide set-it-forget-it syncing of actions to the address bar and vice
@@ -105,10 +149,28 @@ export default (
     }
   }
 
+  // routes are compiled once, rather than on every navigation--or on every request
+  // on the server, as a routesMap shared by several instances is only compiled once.
+  // Nested `routes` are flattened in the process, so the rest of the pipeline only
+  // deals with a single level of types (children have absolute paths + `parents`)
+  const matcher = getMatcher(routesMap)
+  routesMap = matcher.routesMap
+
+  if (__DEV__) {
+    warnShadowedRoutes(matcher.routes)
+  }
+
   /** INTERNAL ENCLOSED STATE (PER INSTANCE FOR SSR!) */
 
+  // the sub-path the app is mounted under: it only exists in the address bar, and
+  // is stripped from/prepended to paths going in and out of `history`
+  const { basename } = options
+
   // very important: used for comparison to determine address bar changes
-  let currentPath: string = pathnamePlusSearch(history.location)
+  let currentPath: string = stripBasename(
+    pathnamePlusSearch(history.location),
+    basename
+  )
 
   let prevLocation: Location = {
     // maintains previous location state in location reducer
@@ -120,17 +182,21 @@ export default (
   const {
     notFoundPath = '/not-found',
     scrollTop = false,
+    scrollToHash = false,
     location,
     title,
+    titleTemplate,
     onBeforeChange,
     onAfterChange,
     onBackNext,
     restoreScroll,
     initialDispatch: shouldPerformInitialDispatch = true,
-    querySerializer
+    querySerializer,
+    confirmNavigation,
+    syncUrlWithState
   }: Options = options
 
-  const selectLocationState =
+  const selectLocationState: SelectLocationState =
     typeof location === 'function'
       ? location
       : location ? state => state[location] : state => state.location
@@ -140,11 +206,56 @@ export default (
       ? title
       : title ? state => state[title] : state => state.title
 
+  // the title and head metadata of the current route, e.g. for server rendering
+  const selectHead = createHeadSelector(
+    routesMap,
+    selectLocationState,
+    selectTitleState,
+    titleTemplate
+  )
+
+  // memoized selectors of the location state, e.g. `selectParam('id')`
+  const locationSelectors = createLocationSelectors(selectLocationState)
+
+  // the locale whose paths routes with localized paths are pushed with. Without a
+  // `locale` option, it's the one detected from the current URL
+  const selectLocale: SelectLocale =
+    typeof options.locale === 'function'
+      ? options.locale
+      : () => (typeof options.locale === 'string' ? options.locale : undefined)
+
   const scrollBehavior = restoreScroll && restoreScroll(history)
 
+  // the index of the current entry, which the router stamps into the `state` of the
+  // entries it pushes and replaces, so the direction of browser back/next can be told.
+  // The initial entry of browser histories is stamped right away, so it's known too
+  const stampsHistory = canStampHistory(history) // not hash histories
+
+  // the entries of memory histories, or those tracked for browser histories (which
+  // don't expose theirs), so the location state and `canGoBack` etc. work on the web too.
+  // Hash histories don't key their locations, so their entries can't be told apart
+  const sessionHistory: History | HistoryData =
+    history.entries || isServer() || !stampsHistory
+      ? history
+      : createSessionHistory(history)
+
+  if (
+    stampsHistory &&
+    !history.entries &&
+    !isServer() &&
+    typeof getHistoryIndex(history.location) === 'undefined'
+  ) {
+    const { state } = history.location
+    history.replace({ ...history.location, state: stampHistoryIndex(0, state) })
+  }
+
+  let historyIndex: number = history.entries
+    ? history.index
+    : getHistoryIndex(history.location) || 0
+
   const { type, payload, meta }: ReceivedAction = pathToAction(
     currentPath,
-    routesMap
+    matcher
   )
   const INITIAL_LOCATION_STATE: LocationState = getInitialState(
     currentPath,
@@ -152,15 +263,26 @@ export default (
     type,
     payload,
     routesMap,
-    history
+    sessionHistory,
+    basename
   )
 
   let prevState = INITIAL_LOCATION_STATE // used only to pass  as 1st arg to `scrollBehavior.updateScroll` if used
   let nextState = {} // used as 2nd arg to `scrollBehavior.updateScroll` and to change `document.title`
   let prevLength = 1 // used by `historyCreateAction` to calculate if moving along history.entries track
+  let navigationCount = 0 // used to drop route changes whose guards settle after a newer one was dispatched
+  let redirectChain = [] // the paths redirected from, passed on to the route change redirected to
+  const blockers: Array<NavigationBlocker> = [] // added via `blockNavigation()`
+  let unblockHistory // removes the `history.block()` prompt when no blockers are left
+  let isRouterChange = false // lets the router's own URL changes through the prompt
+  let confirmedPop // the path of a confirmed pop the router makes again (asynchronously in browsers)
+  let thunkController // aborted when a newer route change makes the current route thunk stale
+  let _store // assigned by the enhancer, so the middleware can dispatch through the full pipeline
 
   const reducer = createLocationReducer(INITIAL_LOCATION_STATE, routesMap)
-  const thunk = createThunk(routesMap, selectLocationState)
+  const thunk = createThunk(routesMap, selectLocationState, () =>
+    _createThunkSignal()
+  )
   const initialDispatch = () => _initialDispatch && _initialDispatch()
 
   const windowDocument: Document = getDocument() // get plain object for window.document if server side
@@ -198,6 +320,10 @@ export default (
   */
 
   const middleware = (store: Store) => (next: Next) => (action: Object) => {
+    if (isHistoryAction(action)) {
+      return _middlewareNavigateHistory(next, action)
+    }
+
     let navigationAction
 
     if (navigators && action.type.indexOf('Navigation/') === 0) {
@@ -231,13 +357,20 @@ export default (
     else if (route && !isLocationAction(action)) {
       // THE MAGIC: dispatched action matches a connected type, so we generate a
       // location-aware action and also as a result update location reducer state.
+      const state = store.getState()
+      const locale =
+        (action.meta && action.meta.locale) ||
+        selectLocale(state) ||
+        selectLocationState(state).locale
+
       action = middlewareCreateAction(
         action,
-        routesMap,
+        matcher,
         prevLocation,
         history,
         notFoundPath,
-        querySerializer
+        querySerializer,
+        locale
       )
     }
 
@@ -246,32 +379,197 @@ export default (
     }
 
     // DISPATCH LIFECYLE:
-    let skip
     if ((route || action.type === NOT_FOUND) && action.meta) {
-      // satisify flow with `action.meta` check
-      skip = _beforeRouteChange(_store, history, action)
+      // satisify flow with `action.meta` check. Route actions can be awaited until
+      // the route change and its thunk settle, resolving to the dispatched action
+      const routeChange = _guardRouteChange(store, next, action, route)
+      return thenableAction(action, routeChange)
     }
 
-    if (skip) return
     const nextAction = next(action) // DISPATCH
+    _attemptChangeLocale(store)
+
+    return nextAction
+  }
 
-    if (route || action.type === NOT_FOUND) {
-      _afterRouteChange(_store, route)
+  // the route change is held until the `beforeLeave` + `beforeEnter` guards and then
+  // `onBeforeChange` settle. If they don't return promises, it all happens
+  // synchronously like without them
+  const _guardRouteChange = (
+    store: Store,
+    next: Next,
+    action: Action,
+    route: Route
+  ): ?Action | Promise<?Action> => {
+    const path = pathnamePlusSearch(action.meta.location.current)
+    const redirects = redirectChain.concat(path)
+
+    if (redirectChain.indexOf(path) !== -1) {
+      return _stopRedirectLoop(redirects)
     }
 
-    return nextAction
+    const navigation = ++navigationCount
+    const { kind } = action.meta.location
+    const confirmed = _attemptBlockNavigation(action)
+
+    const guards = whenSettled(
+      confirmed,
+      confirmed =>
+        confirmed === false || action.error || kind === 'hash'
+          ? confirmed
+          : _getDeclaredRedirect(store, action, route) ||
+            callRouteGuards(routesMap[prevLocation.type], route, action, store)
+    )
+
+    const guarded = whenSettled(
+      guards,
+      result =>
+        isProceeding(result) && navigation === navigationCount
+          ? _callOnBeforeChange(store, action, redirects)
+          : result
+    )
+
+    return whenSettled(guarded, result => {
+      // another route change was dispatched while they were pending (or
+      // `onBeforeChange` dispatched a redirect)
+      if (navigation !== navigationCount) return
+
+      if (result === false) {
+        return _cancelRouteChange(action.meta.location)
+      }
+      else if (isRedirect(result)) {
+        // when the URL already changed (browser buttons, initial load), it's replaced
+        const nextPath = pathnamePlusSearch(action.meta.location.current)
+        const isHistoryChange = nextPath === currentPath
+        const redirected = isHistoryChange ? redirect({ ...result }) : result
+        return _dispatchRedirect(store, redirected, redirects)
+      }
+
+      _beforeRouteChange(_store, history, action)
+      const nextAction = next(action) // DISPATCH
+
+      const settled = _afterRouteChange(_store, route)
+      _attemptChangeLocale(store)
+
+      return settled.then(() => nextAction)
+    })
   }
 
-  const _beforeRouteChange = (
+  // redirects (by guards, `onBeforeChange` or declared `redirect`s) are dispatched
+  // with the paths redirected from so far, so redirecting in circles is stopped
+  // instead of overflowing the stack
+  const _dispatchRedirect = (
     store: Store,
-    history: History,
-    action: Action
+    action: Object,
+    redirects: Array<string>
+  ) => {
+    redirectChain = redirects
+
+    try {
+      return store.dispatch(action)
+    }
+    finally {
+      redirectChain = []
+    }
+  }
+
+  const _stopRedirectLoop = (redirects: Array<string>) => {
+    const message = `[redux-first-router] redirect loop detected: ${redirects.join(
+      ' -> '
+    )}`
+
+    // there is no page to render on the server, so `resolveServerRoute` rejects
+    if (isServer()) throw new Error(message)
+    if (__DEV__) console.warn(message)
+  }
+
+  // routes with a `redirect` redirect to the route it names (keeping the payload
+  // and query) or to the action its function returns, as permanent redirects
+  const _getDeclaredRedirect = (
+    store: Store,
+    action: Action,
+    route: Route
+  ): ?Object => {
+    const target = typeof route === 'object' && route.redirect
+    if (!target) return
+
+    const { query } = action.meta
+    const redirected =
+      typeof target === 'function'
+        ? target(action, store.getState())
+        : { type: target, payload: action.payload, ...(query && { query }) }
+
+    return redirected
+      ? { ...redirected, meta: { ...redirected.meta, redirectStatus: 301 } }
+      : undefined
+  }
+
+  // the URL of a cancelled route change is reverted if it already changed,
+  // i.e. browser back/next are undone
+  const _cancelRouteChange = ({ current, kind, delta }: ActionMetaLocation) => {
+    const path = pathnamePlusSearch(current)
+    const prevPath = pathnamePlusSearch(prevLocation)
+
+    if (path !== currentPath || path === prevPath || !prevLocation.type) {
+      // the address bar wasn't changed, but memory histories may have emulated back/next
+      if (history.entries && kind === 'back') history.index++
+      else if (history.entries && kind === 'next') history.index--
+      return
+    }
+
+    currentPath = prevPath // IMPORTANT: must happen before history changes (to prevent double handling)
+
+    if (delta) {
+      history.go(-delta) // e.g. `history.go(-2)` is undone by `history.go(2)`
+    }
+    else if (kind === 'back') {
+      history.go(1)
+    }
+    else if (kind === 'next' || kind === 'push') {
+      history.go(-1)
+    }
+    else {
+      _changeHistory('replace', prevPath) // direction of pops is unknown
+    }
+  }
+
+  // when the selected locale changes (e.g. via a language switcher), the current
+  // route is redirected to its path in the new locale
+  const _attemptChangeLocale = (store: Store) => {
+    if (typeof options.locale !== 'function') return
+
+    const state = store.getState()
+    const locale = selectLocale(state)
+    const { type, payload, query, hash, locale: current } = selectLocationState(
+      state
+    )
+
+    if (!locale || !current || locale === current) return
+
+    const compiled = getCompiledRoute(matcher, type, locale)
+
+    if (compiled && compiled.locale === locale) {
+      const meta = {
+        ...(query && { query }),
+        ...(hash ? { hash } : {}),
+        locale
+      }
+
+      store.dispatch(redirect(({ type, payload, meta }: Object)))
+    }
+  }
+
+  // `onBeforeChange` can cancel the route change by returning `false`, replace it by
+  // returning an action, or defer it by returning a promise of either. Dispatching a
+  // redirect from within it skips the route change as well
+  const _callOnBeforeChange = (
+    store: Store,
+    action: Action,
+    redirects: Array<string>
   ) => {
     const location = action.meta.location
 
     if (onBeforeChange) {
-      let skip
-
       const dispatch = (action: Object) => {
         if (
           action &&
@@ -279,7 +577,6 @@ export default (
           action.meta.location &&
           action.meta.location.kind === 'redirect'
         ) {
-          skip = true
           prevLocation = location.current
           const nextPath = pathnamePlusSearch(location.current)
           const isHistoryChange = nextPath === currentPath
@@ -292,49 +589,81 @@ export default (
           // server, a redirect is always dispatched since its needed to detect
           // whether to call `res.redirect`. In that case history is irrelevant.
           if (!isHistoryChange && !isServer()) {
-            history.push(nextPath) // this will be replaced since it's a redirect
+            isRouterChange = true
+            _changeHistory('push', nextPath) // this will be replaced since it's a redirect
+            isRouterChange = false
           }
         }
 
-        store.dispatch(action)
+        // nothing is returned, so one-liners like `(dispatch) => dispatch(action)`
+        // aren't mistaken for a replacement action
+        _dispatchRedirect(store, action, redirects)
       }
 
-      onBeforeChange(dispatch, store.getState, action)
-      if (skip) return true
+      return onBeforeChange(dispatch, store.getState, action)
     }
+  }
+
+  const _beforeRouteChange = (
+    store: Store,
+    history: History,
+    action: Action
+  ) => {
+    const location = action.meta.location
 
     prevState = selectLocationState(store.getState())
     prevLocation = location.current
     prevLength = history.length
 
+    // only the `#hash` changing doesn't make the route's data stale
+    if (location.kind !== 'hash') _abortRouteThunk()
+
     // addressbar updated before action dispatched like in history.listener
     _middlewareAttemptChangeUrl(location, history)
 
     // now we can finally set the history on the action since we get its
     // value from the `history` whose value only changes after `push()`
-    if (isReactNative()) {
-      location.history = nestHistory(history)
+    if (isReactNative() || sessionHistory !== history) {
+      location.history = nestHistory(sessionHistory, basename)
+    }
+  }
+
+  const _createThunkSignal = (): AbortSignal => {
+    _abortRouteThunk()
+    thunkController = createAbortController()
+    return thunkController.signal
+  }
+
+  const _abortRouteThunk = () => {
+    if (thunkController) {
+      thunkController.abort()
+      thunkController = null
     }
   }
 
-  const _afterRouteChange = (store: Store, route: Route) => {
+  const _afterRouteChange = (store: Store, route: Route): Promise<*> => {
     const dispatch = store.dispatch
     const state = store.getState()
-    const kind = selectLocationState(state).kind
-    const title = selectTitleState(state)
-    nextState = selectLocationState(state)
-
-    if (typeof route === 'object') {
-      attemptCallRouteThunk(
+    const location = selectLocationState(state)
+    const { kind, hash } = location
+    nextState = location
+    let thunkDone
+    let afterChangeDone
+
+    // only the `#hash` changed, so the data the route thunk fetches hasn't
+    if (typeof route === 'object' && kind !== 'hash') {
+      thunkDone = attemptCallRouteThunk(
         dispatch,
         store.getState,
         route,
-        selectLocationState
+        selectLocationState,
+        _createThunkSignal(),
+        updateScroll
       )
     }
 
     if (onAfterChange) {
-      onAfterChange(dispatch, store.getState)
+      afterChangeDone = onAfterChange(dispatch, store.getState)
     }
 
     if (typeof window !== 'undefined' && kind) {
@@ -342,8 +671,19 @@ export default (
         onBackNext(dispatch, store.getState)
       }
 
+      // the title and head are selected lazily--and again once the thunk settles--as
+      // they may depend on the data the thunk fetches
+      if (thunkDone) {
+        const update = () => _attemptChangeHead(store, location)
+        thunkDone.then(update, update)
+      }
+
       setTimeout(() => {
-        changePageTitle(windowDocument, title)
+        _attemptChangeHead(store, location)
+
+        if (scrollToHash && scrollToAnchor(windowDocument, hash)) {
+          return
+        }
 
         if (scrollTop) {
           return window.scrollTo(0, 0)
@@ -352,6 +692,45 @@ export default (
         _updateScroll(false)
       })
     }
+
+    return Promise.all([thunkDone, afterChangeDone])
+  }
+
+  // only while the route change that scheduled it is the current one
+  const _attemptChangeHead = (store: Store, location: LocationState) => {
+    const state = store.getState()
+    const { pathname, type } = selectLocationState(state)
+    if (pathname !== location.pathname || type !== location.type) return
+
+    const head = selectHead(state)
+    changePageTitle(windowDocument, head.title)
+    changeHead(windowDocument, head)
+  }
+
+  // dispatched `BACK`, `NEXT`, `GO`, `PUSH_PATH` and `REPLACE_PATH` actions reach the
+  // reducers first, so they are logged before the route action `history` then dispatches
+  const _middlewareNavigateHistory = (next: Next, action: Object) => {
+    const dispatched = next(action)
+
+    if (isServer()) {
+      if (__DEV__) {
+        console.warn(
+          `[redux-first-router] \`${action.type}\` has no effect on the server. Dispatch route actions instead.`
+        )
+      }
+
+      return dispatched
+    }
+
+    const { path, n } = action.payload || {}
+
+    if (action.type === BACK) history.goBack()
+    else if (action.type === NEXT) history.goForward()
+    else if (action.type === GO) history.go(n)
+    else if (action.type === PUSH_PATH) _changeHistory('push', path)
+    else _changeHistory('replace', path)
+
+    return dispatched
   }
 
   const _middlewareAttemptChangeUrl = (
@@ -378,11 +757,158 @@ export default (
 
       if (!manuallyInvoked) {
         const method = kind === 'redirect' ? 'replace' : 'push'
-        history[method](currentPath) // change address bar corresponding to matched actions from middleware
+        const state = _createHistoryState(method)
+        history[method](prependBasename(currentPath, basename), state) // change address bar corresponding to matched actions from middleware
       }
     }
   }
 
+  // the URL changes the router makes itself have the index of their entry stamped
+  // into its state (see `historyIndex`)
+  const _changeHistory = (method: 'push' | 'replace', path: string) => {
+    const state = _createHistoryState(method)
+    history[method](prependBasename(path, basename), state)
+  }
+
+  const _createHistoryState = (method: 'push' | 'replace'): ?Object =>
+    stampsHistory
+      ? stampHistoryIndex(method === 'push' ? historyIndex + 1 : historyIndex)
+      : undefined
+
+  /** NAVIGATION BLOCKING
+   *  `blockNavigation(predicateOrMessage)` blocks route changes until the returned
+   *  `unblock` function is called, e.g. while a form has unsaved changes:
+   *
+   *  - dispatched route actions are blocked by the middleware
+   *  - browser back/next and `history.push()` calls from outside the router are
+   *    blocked via `history.block()` where available, so `history` restores the URL
+   *    of blocked pops itself. Otherwise, the middleware reverts them.
+   *
+   *  Blocked route changes go through the `confirmNavigation` option (which may
+   *  return a promise for custom modals), or `window.confirm` by default.
+  */
+
+  const blockNavigation = (predicateOrMessage: NavigationBlocker) => {
+    blockers.push(predicateOrMessage)
+
+    if (!unblockHistory && typeof history.block === 'function') {
+      unblockHistory = history.block(_historyPrompt)
+    }
+
+    return () => {
+      const index = blockers.indexOf(predicateOrMessage)
+      if (index !== -1) blockers.splice(index, 1)
+
+      if (!blockers.length && unblockHistory) {
+        unblockHistory()
+        unblockHistory = null
+      }
+    }
+  }
+
+  // returns `false` or a promise of it when the route change is not confirmed
+  const _attemptBlockNavigation = (action: Action) => {
+    const { current, kind } = action.meta.location
+    const isHistoryChange = pathnamePlusSearch(current) === currentPath
+
+    // redirects follow route changes that were already allowed, and URL changes
+    // were already confirmed by the `history.block()` prompt
+    if (
+      !blockers.length ||
+      action.error ||
+      /load|redirect|hash/.test(kind || '') ||
+      (isHistoryChange && unblockHistory)
+    ) {
+      return
+    }
+
+    const message = _getBlockingMessage(action)
+    return message ? _confirmNavigation(message, action) : undefined
+  }
+
+  const _historyPrompt = (location: HistoryLocation, historyAction: string) => {
+    const path = stripBasename(pathnamePlusSearch(location), basename)
+
+    if (confirmedPop && path === confirmedPop) {
+      confirmedPop = null
+      return true
+    }
+
+    // changes made by the router itself (including reverts) and `#hash` changes
+    if (isRouterChange || stripHash(path) === stripHash(currentPath)) {
+      return true
+    }
+
+    const action = historyCreateAction(
+      path,
+      matcher,
+      prevLocation,
+      history,
+      historyAction.toLowerCase(),
+      querySerializer
+    )
+
+    const message = _getBlockingMessage(action)
+    const confirmed = message ? _confirmNavigation(message, action) : true
+
+    if (!confirmed || typeof confirmed.then !== 'function') {
+      return !!confirmed
+    }
+
+    // the URL can't be held while a custom modal is open, so the change is
+    // blocked now and made again once confirmed. Pops are made again by moving
+    // the same number of entries, so back stays back
+    confirmed.then(confirmed => {
+      if (!confirmed) return
+
+      const delta = historyAction === 'POP' ? _getPopDelta(location) : 0
+
+      if (delta) {
+        confirmedPop = path
+        history.go(delta)
+        return
+      }
+
+      isRouterChange = true
+      _changeHistory(historyAction === 'REPLACE' ? 'replace' : 'push', path)
+      isRouterChange = false
+    })
+
+    return false
+  }
+
+  // the number of entries a pop to the location moves, if its index is known
+  const _getPopDelta = (location: HistoryLocation): ?number => {
+    const index = history.entries
+      ? history.entries.indexOf(location)
+      : getHistoryIndex(location)
+
+    return typeof index === 'number' && index !== -1
+      ? index - historyIndex
+      : undefined
+  }
+
+  const _getBlockingMessage = (action: Action): ?string => {
+    for (let i = 0; i < blockers.length; i++) {
+      const blocker = blockers[i]
+      const result = typeof blocker === 'function' ? blocker(action) : blocker
+
+      if (typeof result === 'string') return result
+      if (result === true) return DEFAULT_BLOCKING_MESSAGE
+    }
+  }
+
+  const _confirmNavigation = (message: string, action: Action) => {
+    if (confirmNavigation) {
+      return confirmNavigation(message, action)
+    }
+    else if (typeof window !== 'undefined' && window.confirm) {
+      return window.confirm(message)
+    }
+
+    return true
+  }
+
   /** ENHANCER
    *  1)  dispatches actions with types and payload extracted from the URL pattern
    *      when the browser history changes
@@ -421,20 +947,24 @@ export default (
 
     history.listen(_historyAttemptDispatchAction.bind(null, store))
 
+    if (syncUrlWithState && !isServer()) {
+      _subscribeUrlToState(store, location)
+    }
+
     // dispatch the first location-aware action so initial app state is based on the url on load
     if (!location.hasSSR || isServer()) {
       // only dispatch on client before SSR is setup, which passes state on to the client
       _initialDispatch = () => {
         const action = historyCreateAction(
           currentPath,
-          routesMap,
+          matcher,
           prevLocation,
           history,
           'load',
           querySerializer
         )
 
-        store.dispatch(action)
+        return store.dispatch(action)
       }
 
       if (shouldPerformInitialDispatch !== false) {
@@ -453,21 +983,76 @@ export default (
     return store
   }
 
+  /** URL SYNCING (opt-in via the `syncUrlWithState` option)
+   *  Only the middleware and `history` change the address bar, so location state
+   *  changed by anything else--e.g. time travel in Redux DevTools, or state restored
+   *  by redux-persist--leaves it behind. Those changes are told apart by the state's
+   *  path differing from `currentPath`, which both keep up to date *before* dispatching.
+  */
+  const _subscribeUrlToState = (store: Store, location: LocationState) => {
+    let statePath = pathnamePlusSearch(location)
+
+    store.subscribe(() => {
+      const location = selectLocationState(store.getState())
+      const path = location && location.pathname && pathnamePlusSearch(location)
+
+      // only changes of the path count: the URL of a pop is ahead of the state
+      // until its route guards settle, and e.g. the `status` of thunks is no URL
+      if (!path || path === statePath) return
+      statePath = path
+
+      if (path !== currentPath) {
+        const { pathname, type, payload, query, search, hash } = location
+
+        currentPath = path // IMPORTANT: must happen before history changes (so `_historyAttemptDispatchAction` doesn't dispatch it again)
+        prevLocation = {
+          pathname,
+          type,
+          payload,
+          ...(query ? { query, search } : {}),
+          ...(hash ? { hash } : {})
+        }
+
+        isRouterChange = true // isn't blocked by `blockNavigation`
+        _changeHistory('replace', path)
+        isRouterChange = false
+      }
+    })
+  }
+
   const _historyAttemptDispatchAction = (
     store: Store,
     location: HistoryLocation,
     historyAction: string
   ) => {
+    // the number of entries moved by pops, known when the router stamped the entry
+    // (memory histories know the index of their entries themselves)
+    const index = history.entries ? history.index : getHistoryIndex(location)
+    const delta =
+      historyAction === 'POP' && typeof index === 'number'
+        ? index - historyIndex
+        : 0
+
+    if (typeof index === 'number') historyIndex = index
+    else if (historyAction === 'PUSH') historyIndex++
+
     // IMPORTANT: insure middleware hasn't already handled location change:
-    const nextPath = pathnamePlusSearch(location)
+    const nextPath = stripBasename(pathnamePlusSearch(location), basename)
 
     if (nextPath !== currentPath) {
       // THE MAGIC: parse the address bar path into a matched action
-      const kind = historyAction === 'REPLACE' ? 'redirect' : historyAction
+      let kind = historyAction === 'REPLACE' ? 'redirect' : historyAction
+
+      if (stripHash(nextPath) === stripHash(currentPath)) {
+        kind = 'hash' // only the `#hash` changed, e.g. via an in-page <a href="#section">
+      }
+      else if (delta) {
+        kind = delta < 0 ? 'back' : 'next'
+      }
 
       const action = historyCreateAction(
         nextPath,
-        routesMap,
+        matcher,
         prevLocation,
         history,
         kind.toLowerCase(),
@@ -476,21 +1061,22 @@ export default (
         prevLength
       )
 
+      if (delta) {
+        action.meta.location.direction = delta < 0 ? 'back' : 'next'
+        action.meta.location.delta = delta
+      }
+
       currentPath = nextPath // IMPORTANT: must happen before dispatch (to prevent double handling)
 
       store.dispatch(action) // dispatch route type + payload corresponding to browser back/forward usage
     }
   }
 
-  /* SIDE_EFFECTS - client-only state that must escape closure */
+  /* CLIENT-ONLY API - bound to this instance's `history` (see below) */
 
-  _history = history
-  _scrollBehavior = scrollBehavior
-  _selectLocationState = selectLocationState
-  _options = options
   let _initialDispatch
 
-  _updateScroll = (performedByUser: boolean = true) => {
+  const _updateScroll = (performedByUser: boolean = true) => {
     if (scrollBehavior) {
       if (!scrollBehavior.manual) {
         scrollBehavior.updateScroll(prevState, nextState)
@@ -504,22 +1090,81 @@ export default (
     }
   }
 
+  const updateScroll = () => _updateScroll()
+
+  const push = (pathname: string) => _changeHistory('push', pathname)
+
+  const replace = (pathname: string) => _changeHistory('replace', pathname)
+
+  const back = () => history.goBack()
+
+  const next = () => history.goForward()
+
+  const go = (n: number) => history.go(n)
+
+  const canGo = (n: number) => !!getEntry(n)
+
+  const canGoBack = (): boolean => !!getEntry(-1)
+
+  const canGoForward = (): boolean => !!getEntry(1)
+
+  const prevPath = (): ?string => {
+    const entry = getEntry(-1)
+    return entry && entry.pathname
+  }
+
+  const nextPath = (): ?string => {
+    const entry = getEntry(1)
+    return entry && entry.pathname
+  }
+
+  const getEntry = (n: number): ?{ pathname: string } => {
+    const { entries, index } = sessionHistory
+    const entry = entries && entries[index + n]
+    return entry && stripEntryBasename(entry, basename)
+  }
+
+  const getOptions = (): Options => options
+
   /* RETURN  */
 
-  return {
+  const router = {
     reducer,
     middleware,
     enhancer,
     thunk,
     initialDispatch,
+    matcher,
+    blockNavigation,
+    selectHead,
+    selectLocationState,
+    ...locationSelectors,
+    push,
+    replace,
+    back,
+    next,
+    go,
+    canGo,
+    canGoBack,
+    canGoForward,
+    prevPath,
+    nextPath,
+    history,
+    scrollBehavior,
+    updateScroll,
+    getOptions,
 
     // returned only for tests (not for use in application code)
     _middlewareAttemptChangeUrl,
     _afterRouteChange,
     _historyAttemptDispatchAction,
-    windowDocument,
-    history
+    windowDocument
   }
+
+  _router = router
+  routerCount++
+
+  return router
 }
 
 /** SIDE EFFECTS:
@@ -538,47 +1183,72 @@ export default (
  *  back button, which of course the system picks up and parses into an action.
  */
 
-let _history
-let _scrollBehavior
-let _updateScroll
-let _selectLocationState
-let _options
-let _store
+// the instance the module-level functions below are bound to: the most recently
+// created one. With several instances (e.g. per request on the server), they can't
+// know which one is meant, so use the functions returned from `connectRoutes` instead
+let _router
+let routerCount = 0
+const warned = {}
+
+const getRouter = (name: string): Object => {
+  if (__DEV__ && routerCount > 1 && !warned[name]) {
+    warned[name] = true
+    console.warn(
+      `[redux-first-router] the imported \`${name}\` was called after \`connectRoutes\` created ${routerCount} routers, so it only applies to the last one. Use the \`${name}\` returned from \`connectRoutes\` instead.`
+    )
+  }
+
+  return _router
+}
 
-export const push = (pathname: string) => _history.push(pathname)
+export const push = (pathname: string) => getRouter('push').push(pathname)
 
-export const replace = (pathname: string) => _history.replace(pathname)
+export const replace = (pathname: string) =>
+  getRouter('replace').replace(pathname)
 
-export const back = () => _history.goBack()
+export const back = () => getRouter('back').back()
 
-export const next = () => _history.goForward()
+export const next = () => getRouter('next').next()
 
-export const go = (n: number) => _history.go(n)
+export const go = (n: number) => getRouter('go').go(n)
 
-export const canGo = (n: number) => _history.canGo(n)
+export const canGo = (n: number) => getRouter('canGo').canGo(n)
 
-export const canGoBack = (): boolean => !!_history.entries[_history.index - 1]
+export const canGoBack = (): boolean => getRouter('canGoBack').canGoBack()
 
 export const canGoForward = (): boolean =>
-  !!_history.entries[_history.index + 1]
+  getRouter('canGoForward').canGoForward()
 
-export const prevPath = (): ?string => {
-  const entry = _history.entries[_history.index - 1]
-  return entry && entry.pathname
-}
+export const prevPath = (): ?string => getRouter('prevPath').prevPath()
 
-export const nextPath = (): ?string => {
-  const entry = _history.entries[_history.index + 1]
-  return entry && entry.pathname
-}
+export const nextPath = (): ?string => getRouter('nextPath').nextPath()
 
-export const history = () => _history
+export const history = () => getRouter('history').history
 
-export const scrollBehavior = () => _scrollBehavior
+export const scrollBehavior = () => getRouter('scrollBehavior').scrollBehavior
 
-export const updateScroll = () => _updateScroll && _updateScroll()
+export const updateScroll = () =>
+  _router && getRouter('updateScroll').updateScroll()
 
 export const selectLocationState = (state: Object) =>
-  _selectLocationState(state)
+  getRouter('selectLocationState').selectLocationState(state)
+
+export const getOptions = (): Options => getRouter('getOptions').getOptions()
+
+export const selectType = (state: Object): string =>
+  getRouter('selectType').selectType(state)
+
+export const selectPayload = (state: Object): Payload =>
+  getRouter('selectPayload').selectPayload(state)
+
+export const selectParam = (name: string): Selector<any> =>
+  getRouter('selectParam').selectParam(name)
+
+export const selectQuery = (state: Object): ?Object =>
+  getRouter('selectQuery').selectQuery(state)
+
+export const selectPrev = (state: Object): Location =>
+  getRouter('selectPrev').selectPrev(state)
 
-export const getOptions = (): Options => _options
+export const selectIsRoute = (type: string): Selector<boolean> =>
+  getRouter('selectIsRoute').selectIsRoute(type)
@@ -5,21 +5,108 @@ export type Dispatch = ReduxDispatch<*>
 export type GetState = () => Object
 export type RouteString = string
 
+export type ParamType = {
+  decode: (value: string) => any,
+  encode: (value: any) => string
+}
+
+export type ParamTypes = {
+  [key: string]: 'int' | 'float' | 'string' | 'boolean' | 'date' | ParamType
+}
+
+// the same route's path in each locale, e.g. `{ en: '/products', de: '/produkte' }`
+export type LocalizedPaths = {
+  [locale: string]: string
+}
+
+export type AbortSignal = {
+  aborted: boolean,
+  onabort: ?Function,
+  addEventListener: (type: string, listener: Function) => void,
+  removeEventListener: (type: string, listener: Function) => void
+}
+
+// passed to route thunks as their 3rd argument
+export type RouteThunkContext = {
+  signal: AbortSignal // aborted when another route change is dispatched
+}
+
+// the page title and `<meta name>` tags of a route (plus a canonical `<link>`)
+export type Head = {
+  title?: string,
+  description?: string,
+  canonical?: string,
+  robots?: string,
+  [name: string]: string
+}
+
 export type RouteObject = {
-  path: string,
+  path: string | LocalizedPaths,
   capitalizedWords?: boolean,
   toPath?: (param: string, key?: string) => string,
   fromPath?: (path: string, key?: string) => string,
-  thunk?: (dispatch: Dispatch, getState: GetState) => any | Promise<any>,
-  navKey?: string
+  thunk?: (
+    dispatch: Dispatch,
+    getState: GetState,
+    context: RouteThunkContext
+  ) => any | Promise<any>,
+  navKey?: string,
+  paramTypes?: ParamTypes,
+  priority?: number,
+  routes?: RoutesMap,
+  parents?: Array<string>,
+  beforeEnter?: RouteGuard,
+  beforeLeave?: RouteGuard,
+  redirect?: string | ((action: Action, state: Object) => ?ReceivedAction),
+  aliases?: Array<string>,
+  title?: string | ((state: Object, action: Action) => string),
+  head?: Head | ((state: Object, action: Action) => Head)
 }
 
+// `false` cancels the route change, an action redirects to it instead
+export type RouteGuardResult = ?(boolean | Object)
+
+export type RouteGuard = (
+  action: Action,
+  api: { getState: GetState, dispatch: Dispatch }
+) => RouteGuardResult | Promise<RouteGuardResult>
+
 export type Route = RouteString | RouteObject
 
 export type RoutesMap = {
   [key: string]: Route
 }
 
+export type CompiledRoute = {
+  type: string,
+  route: Route,
+  path: string,
+  regexp: RegExp,
+  keys: Array<Object>,
+  toPath: (params: Params) => string,
+  rank: number,
+  locale?: string,
+  alias?: boolean
+}
+
+export type CompiledRoutes = {
+  [key: string]: CompiledRoute
+}
+
+export type RouteMatch = {
+  route: CompiledRoute,
+  match: Array<string>
+}
+
+export type Matcher = {
+  routesMap: RoutesMap,
+  routes: Array<CompiledRoute>,
+  compiled: CompiledRoutes,
+  localized: { [type: string]: CompiledRoutes },
+  candidates: (pathname: string) => Array<CompiledRoute>,
+  match: (pathname: string) => ?RouteMatch
+}
+
 export type Router = {
   getStateForActionOriginal: (action: Object, state: ?Object) => ?Object,
   getStateForAction: (action: Object, state: ?Object) => ?Object,
@@ -29,6 +116,15 @@ export type Router = {
   getActionForPathAndParams: (path: string) => ?Object
 }
 
+// resolved by `resolveServerRoute()`
+export type ServerRoute = {
+  status: number,
+  redirectUrl: ?string,
+  store: Store,
+  title: ?string,
+  head: Head
+}
+
 export type Navigator = {
   router: Router
 }
@@ -42,6 +138,20 @@ export type RouteNames = Array<string>
 
 export type SelectLocationState = (state: Object) => LocationState
 export type SelectTitleState = (state: Object) => string
+export type SelectHead = (state: Object) => Head
+
+export type Selector<T> = (state: Object) => T
+
+export type LocationSelectors = {
+  selectType: Selector<string>,
+  selectPayload: Selector<Payload>,
+  selectParam: (name: string) => Selector<any>,
+  selectQuery: Selector<?Object>,
+  selectPrev: Selector<Location>,
+  selectIsRoute: (type: string) => Selector<boolean>
+}
+export type TitleTemplate = string | ((title: string) => string)
+export type SelectLocale = (state: Object) => ?string
 
 export type QuerySerializer = {
   stringify: (params: Object) => string,
@@ -50,19 +160,31 @@ export type QuerySerializer = {
 
 export type Options = {
   title?: string | SelectTitleState,
+  titleTemplate?: TitleTemplate,
   location?: string | SelectLocationState,
   notFoundPath?: string,
+  basename?: string,
+  locale?: string | SelectLocale,
   scrollTop?: boolean,
+  scrollToHash?: boolean,
   onBeforeChange?: (
     dispatch: Dispatch,
     getState: GetState,
     action: Action
-  ) => void,
-  onAfterChange?: (dispatch: Dispatch, getState: GetState) => void,
+  ) => RouteGuardResult | Promise<RouteGuardResult>,
+  onAfterChange?: (
+    dispatch: Dispatch,
+    getState: GetState
+  ) => void | Promise<any>,
   onBackNext?: (dispatch: Dispatch, getState: GetState) => void,
   restoreScroll?: History => ScrollBehavior,
   initialDispatch?: boolean,
   querySerializer?: QuerySerializer,
+  confirmNavigation?: (
+    message: string,
+    action: Action
+  ) => boolean | Promise<boolean>,
+  syncUrlWithState?: boolean,
   navigators?: {
     navigators: Navigators,
     patchNavigators: (navigators: Navigators) => void,
@@ -84,19 +206,56 @@ export type Options = {
   }
 }
 
+// `true` or a message blocks the route change to the action, `false` lets it through
+export type NavigationBlocker =
+  | boolean
+  | string
+  | ((action: Action) => ?(boolean | string))
+
 export type ScrollBehavior = Object
 
 export type Params = Object
 export type Payload = Object
 
+// e.g. `const toUser: RouteActionCreator<{ id: number }> = routeActions.USER`
+export type RouteActionCreator<P: Params> = {
+  (payload?: P, meta?: Object): ReceivedAction,
+  type: string,
+  toPath: (
+    payload?: P,
+    serializer?: QuerySerializer,
+    basename?: string,
+    locale?: ?string
+  ) => string
+}
+
+// annotate the result of `createRouteActions` to type the params of each route at once:
+// `const actions: { USER: RouteActionCreator<{ id: number }>, HOME: RouteActionCreator<{}> } = ...`
+export type RouteActions = { [type: string]: RouteActionCreator<Params> }
+
+export type RouteStatus = 'pending' | 'ready' | 'error'
+
+export type IsActiveOptions = {
+  exact?: boolean,
+  ignoreQuery?: boolean,
+  partial?: boolean
+}
+
 export type LocationState = {
   pathname: string,
   type: string,
   payload: Payload,
   query?: Object,
   search?: string,
+  hash?: string,
+  locale?: string,
+  parents?: Array<string>,
+  status?: RouteStatus,
+  pending?: Location,
+  error?: any,
   prev: Location,
   kind: ?string,
+  redirectStatus?: number,
   history: ?HistoryData,
   routesMap: RoutesMap,
   hasSSR?: true
@@ -107,14 +266,18 @@ export type Location = {
   type: string,
   payload: Payload,
   query?: Object,
-  search?: string
+  search?: string,
+  hash?: string,
+  locale?: string
 }
 
 export type ActionMetaLocation = {
   current: Location,
   prev: Location,
   kind: ?string,
-  history: ?HistoryData
+  history: ?HistoryData,
+  direction?: 'back' | 'next',
+  delta?: number
 }
 
 export type NavigationAction = {
@@ -133,7 +296,10 @@ export type Meta = {
   notFoundPath?: string,
   navigation?: NavigationAction,
   query?: Object,
-  search?: string
+  search?: string,
+  hash?: string,
+  locale?: string,
+  redirectStatus?: number
 }
 
 export type HistoryData = {
@@ -147,15 +313,26 @@ export type Action = {
   payload: Payload,
   meta: Meta,
   query?: Object,
+  hash?: string,
   navKey?: ?string
 }
 
+// what `dispatch` returns for route actions: the action, which can also be awaited
+export type ThenableAction = Action & {
+  then: <T>(
+    onFulfilled?: (action: ?Action) => T,
+    onRejected?: (error: any) => T
+  ) => Promise<T>,
+  catch: <T>(onRejected: (error: any) => T) => Promise<?Action | T>
+}
+
 export type ReceivedAction = {
   type: string,
   payload: Payload,
   meta?: Object,
   query?: Object,
   search?: string,
+  hash?: string,
   navKey?: ?string
 }
 
@@ -173,8 +350,8 @@ export type ReceivedActionMeta = {
 
 export type Listener = (HistoryLocation, HistoryAction) => void
 export type Listen = Listener => void
-export type Push = (pathname: string) => void
-export type Replace = (pathname: string) => void
+export type Push = (path: string | HistoryLocation, state?: any) => void
+export type Replace = (path: string | HistoryLocation, state?: any) => void
 export type GoBack = () => void
 export type GoForward = () => void
 export type Go = number => void
@@ -191,12 +368,19 @@ export type History = {
   entries: Array<{ pathname: string }>,
   index: number,
   length: number,
-  location: HistoryLocation
+  location: HistoryLocation,
+  createHref?: (location: HistoryLocation) => string,
+  block?: (
+    prompt: (location: HistoryLocation, action: HistoryAction) => any
+  ) => () => void
 }
 
 export type HistoryLocation = {
   pathname: string,
-  search?: string
+  search?: string,
+  hash?: string,
+  key?: string,
+  state?: any
 }
 
 export type HistoryAction = string
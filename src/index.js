@@ -15,29 +15,64 @@ export {
   scrollBehavior,
   updateScroll,
   selectLocationState,
-  getOptions
+  getOptions,
+  selectType,
+  selectPayload,
+  selectParam,
+  selectQuery,
+  selectPrev,
+  selectIsRoute
 } from './connectRoutes'
 
 export const NOT_FOUND = '@@redux-first-router/NOT_FOUND'
 
+// dispatched around route thunks, with the location of their route in `payload.location`
+export const ROUTE_THUNK_START = '@@redux-first-router/ROUTE_THUNK_START'
+export const ROUTE_THUNK_SUCCESS = '@@redux-first-router/ROUTE_THUNK_SUCCESS'
+export const ROUTE_THUNK_ERROR = '@@redux-first-router/ROUTE_THUNK_ERROR'
+
+// dispatchable equivalents of `back`, `next`, `go`, `push` and `replace`, which the
+// middleware performs on `history` (a no-op on the server)
+export const BACK = '@@redux-first-router/BACK'
+export const NEXT = '@@redux-first-router/NEXT'
+export const GO = '@@redux-first-router/GO'
+export const PUSH_PATH = '@@redux-first-router/PUSH_PATH'
+export const REPLACE_PATH = '@@redux-first-router/REPLACE_PATH'
+
 export { default as redirect } from './action-creators/redirect'
+export {
+  goBack,
+  goForward,
+  goBy,
+  pushPath,
+  replacePath
+} from './action-creators/historyActions'
+export {
+  default as createRouteActions
+} from './action-creators/createRouteActions'
 
 export { default as actionToPath } from './pure-utils/actionToPath'
 export { default as pathToAction } from './pure-utils/pathToAction'
+export { default as createMatcher } from './pure-utils/createMatcher'
 export { default as isLocationAction } from './pure-utils/isLocationAction'
 export { default as setKind } from './pure-utils/setKind'
+export { default as renderHead } from './pure-utils/renderHead'
+export { default as isActive } from './pure-utils/isActive'
+export { default as matchPath } from './pure-utils/matchPath'
 
 export type {
   RouteString,
   RouteObject,
   Route,
   RoutesMap,
+  Matcher,
   Routes,
   RouteNames,
   Options,
   Params,
   Payload,
   LocationState,
+  RouteStatus,
   Location,
   Meta,
   Action,
@@ -49,6 +84,12 @@ export type {
   History,
   HistoryLocation,
   Document,
+  Head,
+  ServerRoute,
+  IsActiveOptions,
+  LocationSelectors,
+  RouteActionCreator,
+  RouteActions,
   Navigators,
   Navigator,
   Store,
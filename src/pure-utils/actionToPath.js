@@ -1,26 +1,40 @@
 // @flow
-import pathToRegexp from 'path-to-regexp'
+import { getMatcher, getCompiledRoute } from './createMatcher'
+import getParamType, { encodeParam } from './paramTypes'
+import pathnamePlusSearch from './pathnamePlusSearch'
+import { prependBasename } from './stripBasename'
 import type {
   RouteObject,
   Payload,
   Params,
   RoutesMap,
+  Matcher,
   ReceivedAction as Action,
   QuerySerializer
 } from '../flow-types'
 
 export default (
   action: Action,
-  routesMap: RoutesMap,
-  serializer?: QuerySerializer
+  routesMap: RoutesMap | Matcher, // a matcher precompiled via `createMatcher(routesMap)` is fastest
+  serializer?: QuerySerializer,
+  basename?: string, // prepended for use as an `href`, e.g. '/app'
+  locale?: ?string // picks the path of routes with localized paths, e.g. 'de'
 ): string => {
-  const route = routesMap[action.type]
-  const routePath = typeof route === 'object' ? route.path : route
-  const params = typeof route === 'object'
-    ? _payloadToParams(route, action.payload)
-    : action.payload
+  const compiled = getCompiledRoute(getMatcher(routesMap), action.type, locale)
 
-  const path = pathToRegexp.compile(routePath)(params || {}) || '/'
+  if (!compiled) {
+    throw new Error(
+      `[redux-first-router] no route found for action type: ${action.type}`
+    )
+  }
+
+  const { route, toPath, keys } = compiled
+  const params =
+    typeof route === 'object'
+      ? _payloadToParams(route, action.payload, keys)
+      : action.payload
+
+  const path = toPath(params || {}) || '/'
 
   const query =
     action.query ||
@@ -28,26 +42,51 @@ export default (
     (action.payload && action.payload.query)
 
   const search = query && serializer && serializer.stringify(query)
+  const hash = action.hash || (action.meta && action.meta.hash)
 
-  return search ? `${path}?${search}` : path
+  return prependBasename(
+    pathnamePlusSearch({ pathname: path, search, hash }),
+    basename
+  )
 }
 
-const _payloadToParams = (route: RouteObject, params: Payload = {}): Params =>
+const _payloadToParams = (
+  route: RouteObject,
+  params: Payload = {},
+  keys: Array<Object>
+): Params =>
   Object.keys(params).reduce((sluggifedParams, key) => {
-    if (typeof params[key] !== 'undefined') {
-      if (typeof params[key] === 'number') {
-        sluggifedParams[key] = params[key]
-      }
-      else if (route.capitalizedWords === true) {
-        sluggifedParams[key] = params[key].replace(/ /g, '-').toLowerCase()
-      }
-      else if (typeof route.toPath === 'function') {
-        sluggifedParams[key] = route.toPath(params[key], key)
-      }
-      else if (typeof params[key] === 'string') {
-        sluggifedParams[key] = params[key]
-      }
+    const value = params[key]
+    const repeat = keys.some(k => k.name === key && k.repeat)
+
+    if (typeof value !== 'undefined') {
+      // each item of the array of a repeated param (`:path*`, `:path+`) is a segment,
+      // whereas other structured values are left to the param's declared type
+      sluggifedParams[key] =
+        repeat && Array.isArray(value)
+          ? value.map(item => _valueToSegment(route, item, key))
+          : _valueToSegment(route, value, key)
     }
 
     return sluggifedParams
   }, {})
+
+const _valueToSegment = (route: RouteObject, value: any, key: string): any => {
+  const type = getParamType(route, key)
+
+  if (type) {
+    return encodeParam(type, value, key) // declared types replace all other conversions
+  }
+  else if (typeof value === 'number') {
+    return value
+  }
+  else if (route.capitalizedWords === true) {
+    return value.replace(/ /g, '-').toLowerCase()
+  }
+  else if (typeof route.toPath === 'function') {
+    return route.toPath(value, key)
+  }
+  else if (typeof value === 'string') {
+    return value
+  }
+}
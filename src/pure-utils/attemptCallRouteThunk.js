@@ -1,35 +1,102 @@
 // @flow
-import { updateScroll } from '../connectRoutes'
+import isServer from './isServer'
+import {
+  ROUTE_THUNK_START,
+  ROUTE_THUNK_SUCCESS,
+  ROUTE_THUNK_ERROR
+} from '../index'
 import type {
   Dispatch,
   GetState,
+  Route,
   RouteObject,
   LocationState,
-  SelectLocationState
+  SelectLocationState,
+  AbortSignal
 } from '../flow-types'
 
 export default (
   dispatch: Dispatch,
   getState: GetState,
   route: RouteObject,
-  selectLocationState: SelectLocationState
-) => {
-  if (typeof window !== 'undefined') {
-    const thunk = route.thunk
-
-    if (typeof thunk === 'function') {
-      const { kind, hasSSR }: LocationState = selectLocationState(getState())
-
-      // call thunks always if it's not initial load of the app or only if it's load
-      // without SSR setup yet, so app state is setup on client when prototyping,
-      // such as with with webpack-dev-server before server infrastructure is built
-      if (kind !== 'load' || (kind === 'load' && !hasSSR)) {
-        const prom = thunk(dispatch, getState)
-
-        if (prom && typeof prom.next === 'function') {
-          prom.next(updateScroll)
-        }
+  selectLocationState: SelectLocationState,
+  signal: AbortSignal,
+  updateScroll: () => void
+): ?Promise<void> => {
+  const thunk = route.thunk
+
+  if (typeof thunk === 'function') {
+    const {
+      kind,
+      hasSSR,
+      pathname,
+      type,
+      payload
+    }: LocationState = selectLocationState(getState())
+
+    if (willCallRouteThunk(route, kind, hasSSR)) {
+      // the location reducer's `status` is 'pending' until the thunk settles
+      const location = { pathname, type, payload }
+
+      // once a newer route change aborts the thunk, whatever it still
+      // dispatches is dropped, so stale data can't overwrite the new route's
+      const thunkDispatch = action =>
+        signal.aborted ? undefined : dispatch(action)
+
+      dispatch({ type: ROUTE_THUNK_START, payload: { location } })
+
+      let prom
+
+      try {
+        prom = thunk(thunkDispatch, getState, { signal })
+      }
+      catch (error) {
+        dispatch({ type: ROUTE_THUNK_ERROR, payload: { location, error } })
+        return Promise.reject(error)
       }
+
+      if (prom && typeof prom.next === 'function') {
+        prom.next(updateScroll)
+      }
+
+      return Promise.resolve(prom).then(
+        result => {
+          thunkDispatch({
+            type: ROUTE_THUNK_SUCCESS,
+            payload: { location, result }
+          })
+        },
+        error => {
+          // errors of thunks aborted by a newer route change (e.g. a
+          // cancelled `fetch`) are expected, so they don't reject
+          if (signal.aborted) return
+
+          dispatch({ type: ROUTE_THUNK_ERROR, payload: { location, error } })
+          throw error
+        }
+      )
     }
   }
 }
+
+/** Whether the thunk of a route is called after a route change, which the location
+ *  reducer needs to know to set the `status` to 'pending' along with the route:
+ *
+ *  - on the server, thunks are called via the `thunk` returned from `connectRoutes`
+ *  - only the `#hash` changing doesn't make the data the thunk fetches stale
+ *  - thunks are always called if it's not the initial load of the app, or only if
+ *    it's the load without SSR setup yet, so app state is setup on client when
+ *    prototyping, such as with webpack-dev-server before server infrastructure is built
+*/
+
+export const willCallRouteThunk = (
+  route: ?Route,
+  kind: ?string,
+  hasSSR: ?boolean
+): boolean =>
+  !isServer() &&
+  !!route &&
+  typeof route === 'object' &&
+  typeof route.thunk === 'function' &&
+  kind !== 'hash' &&
+  (kind !== 'load' || !hasSSR)
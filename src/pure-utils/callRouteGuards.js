@@ -0,0 +1,40 @@
+// @flow
+import whenSettled from './whenSettled'
+import type { Route, Action, Store } from '../flow-types'
+
+/** Calls the `beforeLeave` guard of the route being left, and then the `beforeEnter`
+ *  guard of the route being entered. Guards may return (or resolve to):
+ *
+ *  - `false` to cancel the route change
+ *  - an action to redirect to instead
+ *  - nothing to let the route change proceed
+ *
+ *  The first guard that doesn't proceed decides, and `beforeEnter` isn't called.
+ *  A promise is only returned if a guard returned one.
+*/
+
+export default (
+  leaving: ?Route,
+  entering: ?Route,
+  action: Action,
+  { getState, dispatch }: Store
+): any => {
+  const beforeLeave =
+    !!leaving && typeof leaving === 'object' && leaving.beforeLeave
+  const beforeEnter =
+    !!entering && typeof entering === 'object' && entering.beforeEnter
+  const api = { getState, dispatch }
+
+  const enter = (result: any) =>
+    beforeEnter && isProceeding(result) ? beforeEnter(action, api) : result
+
+  return beforeLeave
+    ? whenSettled(beforeLeave(action, api), enter)
+    : enter(undefined)
+}
+
+export const isRedirect = (result: any): boolean =>
+  !!result && typeof result === 'object' && typeof result.type === 'string'
+
+export const isProceeding = (result: any): boolean =>
+  result !== false && !isRedirect(result)
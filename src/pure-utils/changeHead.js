@@ -0,0 +1,55 @@
+// @flow
+import type { Document, Head } from '../flow-types'
+
+// marks the tags the router manages, so they're removed when the next route
+// doesn't declare them. `renderHead` adds it to server rendered tags as well.
+export const HEAD_ATTRIBUTE = 'data-rfr-head'
+
+export default (doc: Document, head: Head) => {
+  if (!doc.head || typeof doc.querySelectorAll !== 'function') return
+
+  const { title, canonical, ...meta } = head
+  const managed = doc.querySelectorAll(`[${HEAD_ATTRIBUTE}]`)
+
+  Array.prototype.slice.call(managed).forEach(tag => {
+    const declared =
+      tag.tagName.toLowerCase() === 'link'
+        ? typeof canonical === 'string'
+        : typeof meta[tag.getAttribute('name')] === 'string'
+
+    if (!declared) tag.parentNode.removeChild(tag)
+  })
+
+  Object.keys(meta).forEach(name => {
+    if (typeof meta[name] === 'string') {
+      setTag(doc, 'meta', 'name', name, 'content', meta[name])
+    }
+  })
+
+  if (typeof canonical === 'string') {
+    setTag(doc, 'link', 'rel', 'canonical', 'href', canonical)
+  }
+}
+
+const setTag = (
+  doc: Document,
+  tagName: string,
+  key: string,
+  value: string,
+  attribute: string,
+  content: string
+) => {
+  let tag = doc.head.querySelector(`${tagName}[${key}="${value}"]`)
+
+  if (!tag) {
+    tag = doc.createElement(tagName)
+    tag.setAttribute(key, value)
+    doc.head.appendChild(tag)
+  }
+
+  tag.setAttribute(HEAD_ATTRIBUTE, '')
+
+  if (tag.getAttribute(attribute) !== content) {
+    tag.setAttribute(attribute, content)
+  }
+}
@@ -0,0 +1,44 @@
+// @flow
+import type { AbortSignal } from '../flow-types'
+
+/** Returns an `AbortController` where available, or an equivalent with the parts of
+ *  its API route thunks are likely to use: `signal.aborted`, and `abort` event
+ *  listeners added via `signal.addEventListener()` or `signal.onabort`.
+*/
+
+export default (): { signal: AbortSignal, abort: () => void } => {
+  // browsers have it on `window`, Node (15+) on `global`
+  const Controller: ?Class<AbortController> =
+    typeof window !== 'undefined'
+      ? window.AbortController
+      : global.AbortController
+
+  if (typeof Controller === 'function') {
+    return new Controller()
+  }
+
+  let listeners = []
+
+  const signal: AbortSignal = {
+    aborted: false,
+    onabort: null,
+    addEventListener: (type: string, listener: Function) => {
+      if (type === 'abort') listeners.push(listener)
+    },
+    removeEventListener: (type: string, listener: Function) => {
+      listeners = listeners.filter(l => l !== listener)
+    }
+  }
+
+  const abort = () => {
+    if (signal.aborted) return
+
+    const event = { type: 'abort', target: signal }
+    signal.aborted = true
+
+    if (typeof signal.onabort === 'function') signal.onabort(event)
+    listeners.forEach(listener => listener(event))
+  }
+
+  return { signal, abort }
+}
@@ -0,0 +1,76 @@
+// @flow
+import type {
+  RoutesMap,
+  SelectLocationState,
+  SelectTitleState,
+  TitleTemplate,
+  Head
+} from '../flow-types'
+
+/** Returns a selector of the page title and head metadata of the current route.
+ *  Routes declaring a `title` take precedence over the `title` state, and either
+ *  one is wrapped by the `titleTemplate` option:
+ *
+ *  `{ path: '/user/:id', title: (state, action) => state.users[action.payload.id].name,
+ *     head: { description: 'User profile', robots: 'noindex' } }`
+ *
+ *  `title` and `head` functions may read data the route thunk hasn't loaded yet,
+ *  in which case what they throw is ignored, and the title or head is left out.
+*/
+
+export default (
+  routesMap: RoutesMap,
+  selectLocationState: SelectLocationState,
+  selectTitleState: SelectTitleState,
+  titleTemplate: ?TitleTemplate
+) => (state: Object): Head => {
+  const location = selectLocationState(state)
+  const route = routesMap[location.type]
+  const routeObject = typeof route === 'object' ? route : {}
+  const action = {
+    type: location.type,
+    payload: location.payload,
+    ...(location.query ? { query: location.query } : {}),
+    meta: {
+      location: {
+        current: location,
+        prev: location.prev,
+        kind: location.kind,
+        history: location.history
+      }
+    }
+  }
+
+  const head =
+    typeof routeObject.head === 'function'
+      ? attempt(routeObject.head, state, action)
+      : routeObject.head
+
+  const title =
+    typeof routeObject.title === 'undefined'
+      ? selectTitleState(state)
+      : typeof routeObject.title === 'function'
+        ? attempt(routeObject.title, state, action)
+        : routeObject.title
+
+  return typeof title === 'string'
+    ? { ...head, title: applyTitleTemplate(title, titleTemplate) }
+    : { ...head }
+}
+
+const attempt = (select: Function, state: Object, action: Object): any => {
+  try {
+    return select(state, action)
+  }
+  catch (e) {
+    return undefined
+  }
+}
+
+const applyTitleTemplate = (
+  title: string,
+  template: ?TitleTemplate
+): string => {
+  if (typeof template === 'function') return template(title)
+  return typeof template === 'string' ? template.replace('%s', title) : title
+}
@@ -0,0 +1,89 @@
+// @flow
+import type {
+  SelectLocationState,
+  LocationSelectors,
+  Selector
+} from '../flow-types'
+
+/** Selectors of the location state for components, built on `selectLocationState`.
+ *  The location reducer creates a new `payload` (and `query` and `prev`) on every
+ *  navigation, so values equal to the previous ones are returned as the previous
+ *  ones, and components comparing them by reference don't re-render:
+ *
+ *  `const selectId = selectParam('id')` -> `selectId(state) === selectId(nextState)`
+ *
+ *  `selectParam(name)` and `selectIsRoute(type)` return the same selector for the
+ *  same argument, so they can be passed to `useSelector` etc. as is.
+*/
+
+export default (
+  selectLocationState: SelectLocationState
+): LocationSelectors => {
+  const selectType = (state: Object): string => selectLocationState(state).type
+
+  const selectPayload = memoize(state => selectLocationState(state).payload)
+  const selectQuery = memoize(state => selectLocationState(state).query)
+  const selectPrev = memoize(state => selectLocationState(state).prev)
+
+  const paramSelectors = {}
+  const selectParam = (name: string): Selector<any> =>
+    paramSelectors[name] ||
+    (paramSelectors[name] = memoize(state => selectPayload(state)[name]))
+
+  // routes are also active while one of the routes nested in them is
+  const routeSelectors = {}
+  const selectIsRoute = (type: string): Selector<boolean> =>
+    routeSelectors[type] ||
+    (routeSelectors[type] = (state: Object) => {
+      const location = selectLocationState(state)
+      const parents = location.parents || []
+
+      return location.type === type || parents.indexOf(type) > -1
+    })
+
+  return {
+    selectType,
+    selectPayload,
+    selectParam,
+    selectQuery,
+    selectPrev,
+    selectIsRoute
+  }
+}
+
+const memoize = (selector: Selector<any>): Selector<any> => {
+  let selected
+  let hasSelected = false
+
+  return (state: Object) => {
+    const value = selector(state)
+
+    if (!hasSelected || !isEqual(selected, value)) {
+      selected = value
+      hasSelected = true
+    }
+
+    return selected
+  }
+}
+
+// only plain objects and arrays are compared by their contents, since that's what
+// payloads and queries are made of (other objects, e.g. dates, by reference)
+const isEqual = (a: any, b: any): boolean => {
+  if (a === b) return true
+  if (!isComparable(a) || !isComparable(b)) return false
+  if (Array.isArray(a) !== Array.isArray(b)) return false
+
+  const keys = Object.keys(a)
+
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every(key => isEqual(a[key], b[key]))
+  )
+}
+
+const isComparable = (value: any): boolean =>
+  Array.isArray(value) ||
+  (!!value &&
+    typeof value === 'object' &&
+    Object.getPrototypeOf(value) === Object.prototype)
@@ -0,0 +1,173 @@
+// @flow
+import pathToRegexp from 'path-to-regexp'
+import flattenRoutes from './flattenRoutes'
+import rankRoutes from './rankRoutes'
+import type {
+  RoutesMap,
+  Route,
+  Matcher,
+  CompiledRoute,
+  CompiledRoutes,
+  RouteMatch
+} from '../flow-types'
+
+/** Compiles a routesMap once into a `Matcher`, so neither `pathToRegexp` nor
+ *  `pathToRegexp.compile` need to run again on every navigation:
+ *
+ *  - `match(pathname)` looks up candidate routes in a trie of the static leading
+ *    segments of their paths, so only routes that could possibly match have their
+ *    regex tested, in order of rank. Lookup time therefore depends on the depth of
+ *    the pathname rather than the number of routes.
+ *  - `candidates(pathname)` returns those routes, for callers that need to keep
+ *    looking when a route's regex matches, but its params aren't valid.
+ *  - `compiled[type].toPath(params)` is the memoized `pathToRegexp.compile` of each route.
+ *  - `localized[type][locale]` holds the compiled path of each locale of routes with
+ *    localized paths, in which case `compiled[type]` is the one of the first locale.
+ *  - the `aliases` of routes are matched too (flagged with `alias: true`), but never
+ *    compiled into paths.
+*/
+
+const createMatcher = (routesMap: RoutesMap): Matcher => {
+  routesMap = flattenRoutes(routesMap)
+
+  const routes: Array<CompiledRoute> = rankRoutes(
+    routesMap
+  ).map(({ type, route, path, locale, alias }, rank) => {
+    const keys = []
+    const regexp = pathToRegexp(path, keys)
+    const toPath = pathToRegexp.compile(path)
+
+    return {
+      type,
+      route,
+      path,
+      regexp,
+      keys,
+      toPath,
+      rank,
+      ...(locale ? { locale } : {}),
+      ...(alias ? { alias } : {})
+    }
+  })
+
+  const localized = routes.reduce((localized, route) => {
+    if (route.locale && !route.alias) {
+      localized[route.type] = localized[route.type] || {}
+      localized[route.type][route.locale] = route
+    }
+
+    return localized
+  }, {})
+
+  const compiled: CompiledRoutes = routes.reduce((compiled, route) => {
+    if (route.alias) return compiled
+
+    if (!route.locale || route.locale === defaultLocale(route.route)) {
+      compiled[route.type] = route
+    }
+
+    return compiled
+  }, {})
+
+  const trie = routes.reduce((trie, route) => {
+    const node = staticSegments(route.path).reduce(
+      (node, segment) =>
+        node.children[segment] ||
+        (node.children[segment] = { children: {}, routes: [] }),
+      trie
+    )
+
+    node.routes.push(route)
+    return trie
+  }, createNode())
+
+  const candidates = (pathname: string): Array<CompiledRoute> =>
+    findCandidates(trie, pathname)
+
+  const match = (pathname: string): ?RouteMatch => {
+    const candidates = findCandidates(trie, pathname)
+
+    for (let i = 0; i < candidates.length; i++) {
+      const match = candidates[i].regexp.exec(pathname)
+      if (match) return { route: candidates[i], match }
+    }
+
+    return null
+  }
+
+  return { routesMap, routes, compiled, localized, candidates, match }
+}
+
+export default createMatcher
+
+/** The compiled path of a route in the given locale, falling back to its first
+ *  locale when the route isn't localized in it (or no locale is given).
+*/
+
+export const getCompiledRoute = (
+  matcher: Matcher,
+  type: string,
+  locale: ?string
+): ?CompiledRoute => {
+  const locales = matcher.localized[type]
+  return (locale && locales && locales[locale]) || matcher.compiled[type]
+}
+
+/** Returns an existing matcher as is, or compiles a routesMap (only once per routesMap
+ *  object), so `pathToAction` and `actionToPath` can be passed either one.
+*/
+
+const cache = typeof WeakMap === 'function' ? new WeakMap() : null
+
+export const getMatcher = (routes: RoutesMap | Matcher): Matcher => {
+  if (typeof routes.match === 'function' && routes.compiled) {
+    return (routes: any)
+  }
+
+  const routesMap: RoutesMap = (routes: any)
+  let matcher = cache && cache.get(routesMap)
+
+  if (!matcher) {
+    matcher = createMatcher(routesMap)
+    if (cache) cache.set(routesMap, matcher)
+  }
+
+  return matcher
+}
+
+const defaultLocale = (route: Route): ?string =>
+  typeof route === 'object' && typeof route.path === 'object'
+    ? Object.keys(route.path)[0]
+    : undefined
+
+const createNode = () => ({ children: {}, routes: [] })
+
+// collect the routes stored along the pathname's path down the trie, in order of rank
+const findCandidates = (trie: Object, pathname: string): CompiledRoute[] => {
+  const segments = pathname.toLowerCase().split('/').filter(segment => segment)
+  let node = trie
+  let candidates = node.routes
+
+  for (let i = 0; i < segments.length; i++) {
+    node = node.children[segments[i]]
+    if (!node) break
+    candidates = candidates.concat(node.routes)
+  }
+
+  return candidates.sort((a, b) => a.rank - b.rank)
+}
+
+// the leading segments of a path that contain no params, e.g. ['users', 'new']
+// for '/users/new/:id'. A segment a param is glued onto (e.g. `/info(.*)`) is excluded.
+const staticSegments = (path: string): Array<string> => {
+  const tokens = pathToRegexp.parse(path)
+  const leading = typeof tokens[0] === 'string' ? tokens[0] : ''
+  const segments = leading.toLowerCase().split('/')
+  const next = tokens[1]
+
+  if (next && (typeof next !== 'object' || next.prefix !== '/')) {
+    segments.pop()
+  }
+
+  return segments.filter(segment => segment)
+}
@@ -0,0 +1,108 @@
+// @flow
+import type { History, HistoryLocation, HistoryData } from '../flow-types'
+
+export const STORAGE_KEY = '@@redux-first-router/history'
+
+/** Browser histories don't expose their entries like memory histories do, so the
+ *  entries visited in this session are tracked here instead, keyed by the `key` the
+ *  `history` package gives each location. They're persisted in `sessionStorage`, so
+ *  the stack survives reloads.
+ *
+ *  The returned object has the `entries`, `index` and `length` of memory histories,
+ *  and is kept up to date in place as `history` changes.
+*/
+
+export default (
+  history: History,
+  storage: ?Storage = getSessionStorage()
+): HistoryData => {
+  const stored = restore(storage)
+  const index = findIndex(stored, history.location)
+
+  const session: HistoryData =
+    index > -1
+      ? { entries: stored, index, length: stored.length }
+      : { entries: [toEntry(history.location)], index: 0, length: 1 }
+
+  history.listen((location: HistoryLocation, action: string) => {
+    const entry = toEntry(location)
+
+    if (action === 'PUSH') {
+      session.entries = session.entries.slice(0, session.index + 1)
+      session.entries.push(entry)
+      session.index = session.entries.length - 1
+    }
+    else if (action === 'REPLACE') {
+      session.entries = session.entries.slice(0)
+      session.entries[session.index] = entry
+    }
+    else {
+      const index = findIndex(session.entries, location)
+
+      // an entry from before the stack could be tracked (e.g. `sessionStorage`
+      // was cleared), so the known entries can't be related to it anymore
+      if (index > -1) session.index = index
+      else {
+        session.entries = [entry]
+        session.index = 0
+      }
+    }
+
+    session.length = session.entries.length
+    save(storage, session.entries)
+  })
+
+  save(storage, session.entries)
+  return session
+}
+
+const toEntry = ({ pathname, search, hash, key }: HistoryLocation) => ({
+  pathname,
+  ...(search ? { search } : {}),
+  ...(hash ? { hash } : {}),
+  ...(key ? { key } : {})
+})
+
+// only the initial entry of browser histories has no key
+const findIndex = (
+  entries: Array<Object>,
+  { key }: HistoryLocation
+): number => {
+  if (!key) return entries.length && !entries[0].key ? 0 : -1
+
+  for (let i = 0; i < entries.length; i++) {
+    if (entries[i].key === key) return i
+  }
+
+  return -1
+}
+
+// accessing `sessionStorage` throws when cookies are blocked
+const getSessionStorage = (): ?Storage => {
+  try {
+    return typeof window !== 'undefined' ? window.sessionStorage : null
+  }
+  catch (e) {
+    return null
+  }
+}
+
+const restore = (storage: ?Storage): Array<Object> => {
+  try {
+    const json = storage && storage.getItem(STORAGE_KEY)
+    const entries = json ? JSON.parse(json) : []
+    return Array.isArray(entries) ? entries : []
+  }
+  catch (e) {
+    return []
+  }
+}
+
+const save = (storage: ?Storage, entries: Array<Object>) => {
+  try {
+    if (storage) storage.setItem(STORAGE_KEY, JSON.stringify(entries))
+  }
+  catch (e) {
+    // e.g. the quota is exceeded, so the entries are only kept in memory
+  }
+}
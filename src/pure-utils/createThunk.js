@@ -1,16 +1,28 @@
 // @flow
 import type { Store } from 'redux'
-import type { RoutesMap, SelectLocationState } from '../flow-types'
+import type {
+  RoutesMap,
+  SelectLocationState,
+  AbortSignal
+} from '../flow-types'
 
 export default (
   routesMap: RoutesMap,
-  selectLocationState: SelectLocationState
+  selectLocationState: SelectLocationState,
+  createSignal: () => AbortSignal
 ) => ({ dispatch, getState }: Store<*, *>): Promise<*> => {
   const { type } = selectLocationState(getState())
   const route = routesMap[type]
+  const thunk = typeof route === 'object' && route.thunk
 
-  if (route && typeof route.thunk === 'function') {
-    return Promise.resolve(route.thunk(dispatch, getState))
+  if (typeof thunk === 'function') {
+    // aborted when the thunk dispatches a redirect (or any other route change),
+    // after which its dispatches are dropped like on the client
+    const signal = createSignal()
+    const thunkDispatch = action =>
+      signal.aborted ? undefined : dispatch(action)
+
+    return Promise.resolve(thunk(thunkDispatch, getState, { signal }))
   }
 
   return Promise.resolve()
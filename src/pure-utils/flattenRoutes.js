@@ -0,0 +1,118 @@
+// @flow
+import type {
+  RoutesMap,
+  Route,
+  RouteObject,
+  LocalizedPaths
+} from '../flow-types'
+
+// options a parent route passes down to the routes nested in its `routes` key
+const INHERITED_KEYS = [
+  'capitalizedWords',
+  'toPath',
+  'fromPath',
+  'thunk',
+  'paramTypes'
+]
+
+/** Flattens nested `routes` into a single-level routesMap:
+ *
+ *  `{ ADMIN: { path: '/admin', routes: { ADMIN_USERS: '/users' } } }`
+ *
+ *  becomes:
+ *
+ *  `{ ADMIN: { path: '/admin' }, ADMIN_USERS: { path: '/admin/users', parents: ['ADMIN'] } }`
+ *
+ *  Already flat routesMaps are returned as is, so it's cheap to call repeatedly.
+*/
+
+export default (routesMap: RoutesMap): RoutesMap => {
+  if (!hasNestedRoutes(routesMap)) return routesMap
+  return flatten(routesMap, {}, '', [], {})
+}
+
+const hasNestedRoutes = (routesMap: RoutesMap): boolean =>
+  Object.keys(routesMap).some(type => {
+    const route = routesMap[type]
+    return typeof route === 'object' && typeof route.routes === 'object'
+  })
+
+const flatten = (
+  routesMap: RoutesMap,
+  inherited: Object,
+  prefix: string | LocalizedPaths,
+  parents: Array<string>,
+  flatRoutesMap: RoutesMap
+): RoutesMap =>
+  Object.keys(routesMap).reduce((flatRoutesMap, type) => {
+    const route: Route = routesMap[type]
+
+    if (!parents.length && (typeof route !== 'object' || !route.routes)) {
+      flatRoutesMap[type] = route // top level routes without children stay as is
+      return flatRoutesMap
+    }
+
+    const routeObject: Object =
+      typeof route === 'object' ? route : { path: route }
+    const { routes, ...rest } = routeObject
+
+    const path = joinLocalizedPaths(prefix, routeObject.path)
+    const flatRoute: RouteObject = { ...inherited, ...rest, path }
+
+    if (inherited.paramTypes || rest.paramTypes) {
+      // types of params in the parent's path apply to its children too
+      flatRoute.paramTypes = { ...inherited.paramTypes, ...rest.paramTypes }
+    }
+
+    if (parents.length) flatRoute.parents = parents
+    flatRoutesMap[type] = flatRoute
+
+    if (routes) {
+      const childInherited = INHERITED_KEYS.reduce((childInherited, key) => {
+        if (typeof flatRoute[key] !== 'undefined') {
+          childInherited[key] = flatRoute[key]
+        }
+
+        return childInherited
+      }, {})
+
+      flatten(routes, childInherited, path, [...parents, type], flatRoutesMap)
+    }
+
+    return flatRoutesMap
+  }, flatRoutesMap)
+
+// localized paths are joined per locale, with a plain path applying to every
+// locale: `{ en: '/shop', de: '/laden' }` + '/:id' -> `{ en: '/shop/:id', de: '/laden/:id' }`.
+// Locales missing from either side are dropped.
+const joinLocalizedPaths = (
+  prefix: string | LocalizedPaths,
+  path: string | LocalizedPaths
+): string | LocalizedPaths => {
+  if (typeof prefix === 'string' && typeof path === 'string') {
+    return joinPaths(prefix, path)
+  }
+
+  const locales = Object.keys(typeof prefix === 'object' ? prefix : (path: any))
+
+  return locales.reduce((paths, locale) => {
+    const localePrefix = typeof prefix === 'object' ? prefix[locale] : prefix
+    const localePath = typeof path === 'object' ? path[locale] : path
+
+    if (typeof localePrefix === 'string' && typeof localePath === 'string') {
+      paths[locale] = joinPaths(localePrefix, localePath)
+    }
+
+    return paths
+  }, {})
+}
+
+// '/admin' + '/users' -> '/admin/users', '/admin' + '/' -> '/admin'
+const joinPaths = (prefix: string, path: string): string => {
+  if (!prefix) return path
+
+  const base = prefix.replace(/\/$/, '')
+  if (!path || path === '/') return base || '/'
+
+  return path.indexOf('/') === 0 ? `${base}${path}` : `${base}/${path}`
+}
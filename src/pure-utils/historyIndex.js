@@ -0,0 +1,26 @@
+// @flow
+import type { History, HistoryLocation } from '../flow-types'
+
+/** Pops of browser histories only tell that the URL changed, not in which
+ *  direction. So `connectRoutes` stamps the index of each entry it pushes or
+ *  replaces into the entry's `state`, and compares it with the current one on pop.
+ *
+ *  Hash histories can't hold `state` (`history` warns on every push when given one),
+ *  so their entries aren't stamped, and their pops keep the 'pop' kind.
+*/
+
+const INDEX_KEY = '@@redux-first-router/index'
+
+export default (location: HistoryLocation): ?number => {
+  const index = location.state && location.state[INDEX_KEY]
+  return typeof index === 'number' ? index : undefined
+}
+
+export const stampHistoryIndex = (index: number, state: ?Object): Object => ({
+  ...state,
+  [INDEX_KEY]: index
+})
+
+export const canStampHistory = (history: History): boolean =>
+  typeof history.createHref !== 'function' ||
+  history.createHref({ pathname: '/' }).indexOf('#') === -1
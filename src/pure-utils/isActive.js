@@ -0,0 +1,99 @@
+// @flow
+import actionToPath from './actionToPath'
+import type { LocationState, IsActiveOptions } from '../flow-types'
+
+/** Whether a link to an action or path is active, e.g. for the links of navigation
+ *  UIs. Actions are turned into paths via `actionToPath` (in the current locale), so
+ *  they're compared the same way the URLs of the links are generated:
+ *
+ *  - by default the pathnames must be equal, and the query of the link must be part
+ *    of the current one
+ *  - `partial`: pathnames nested below the link's pathname are active too, e.g.
+ *    `/admin/users` for a link to the `/admin` section
+ *  - `exact`: the query and `#hash` must be equal too
+ *  - `ignoreQuery`: the query isn't compared
+*/
+
+export default (
+  target: string | Object,
+  location: LocationState,
+  options: IsActiveOptions = {}
+): boolean => {
+  const { exact, ignoreQuery, partial } = options
+  const path = typeof target === 'string' ? target : toPath(target, location)
+
+  if (!path) return false
+
+  const [pathAndSearch, hash] = path.split('#')
+  const [pathname, search] = pathAndSearch.split('?')
+
+  const matchesPathname = partial
+    ? isPrefix(pathname, location.pathname)
+    : trimSlash(pathname) === trimSlash(location.pathname)
+
+  if (!matchesPathname) return false
+  if (exact && (hash || '') !== (location.hash || '')) return false
+  if (ignoreQuery) return true
+
+  const query = typeof target === 'object' && getQuery(target)
+
+  return query
+    ? matchesQuery(query, location.query || {}, !!exact)
+    : matchesSearch(search, location.search, !!exact)
+}
+
+// actions with an invalid payload don't have a path, so they can't be active
+const toPath = (action: Object, location: LocationState): ?string => {
+  const locale = (action.meta && action.meta.locale) || location.locale
+
+  try {
+    return actionToPath(action, location.routesMap, undefined, '', locale)
+  }
+  catch (e) {
+    return null
+  }
+}
+
+const getQuery = (action: Object): ?Object =>
+  action.query ||
+  (action.meta && action.meta.query) ||
+  (action.payload && action.payload.query)
+
+const trimSlash = (pathname: string): string =>
+  pathname.length > 1 ? pathname.replace(/\/$/, '') : pathname
+
+// '/admin' is a prefix of '/admin/users', but not of '/administrators'
+const isPrefix = (prefix: string, pathname: string): boolean => {
+  prefix = trimSlash(prefix)
+  pathname = trimSlash(pathname)
+
+  return (
+    prefix === '/' ||
+    pathname === prefix ||
+    pathname.indexOf(`${prefix}/`) === 0
+  )
+}
+
+const matchesQuery = (query: Object, current: Object, exact: boolean) => {
+  const keys = Object.keys(query)
+
+  if (exact && keys.length !== Object.keys(current).length) return false
+  return keys.every(key => isEqual(query[key], current[key]))
+}
+
+// query values parsed from the URL are usually strings, e.g. `{ page: '2' }`
+const isEqual = (a: any, b: any): boolean =>
+  typeof a === 'object' || typeof b === 'object'
+    ? JSON.stringify(a) === JSON.stringify(b)
+    : String(a) === String(b)
+
+const matchesSearch = (search: ?string, current: ?string, exact: boolean) => {
+  const params = toParams(search)
+  const currentParams = toParams(current)
+
+  if (exact && params.length !== currentParams.length) return false
+  return params.every(param => currentParams.indexOf(param) > -1)
+}
+
+const toParams = (search: ?string): Array<string> =>
+  (search || '').replace(/^\?/, '').split('&').filter(param => param)
@@ -0,0 +1,70 @@
+// @flow
+import pathToAction from './pathToAction'
+import type {
+  Route,
+  RouteObject,
+  LocalizedPaths,
+  Payload,
+  RoutesMap
+} from '../flow-types'
+
+const MATCH = 'MATCH'
+const REST_PARAM = 'rfrRest'
+
+/** Matches a path against a single route path (or route object, along with its
+ *  `paramTypes`, `fromPath` etc.). It returns the params `pathToAction` would decode
+ *  into the payload of an action, or `null` when the path doesn't match:
+ *
+ *  `matchPath('/user/5', { path: '/user/:id', paramTypes: { id: 'int' } })` -> `{ id: 5 }`
+ *
+ *  With `{ partial: true }`, the paths nested below the route path match too, e.g.
+ *  '/user/5/edit' matches '/user/:id', for the sections of navigation UIs.
+*/
+
+export default (
+  path: string,
+  routePath: Route,
+  options: { partial?: boolean } = {}
+): ?Payload => {
+  const routesMap = getRoutesMap(routePath, !!options.partial)
+  const { type, payload } = pathToAction(path, routesMap)
+
+  if (type !== MATCH) return null
+
+  const { [REST_PARAM]: rest, ...params } = payload
+  return params
+}
+
+// string route paths are only compiled once, like the routes of a routesMap
+const cache = {}
+
+const getRoutesMap = (route: Route, partial: boolean): RoutesMap => {
+  if (typeof route !== 'string') return { [MATCH]: toRoute(route, partial) }
+
+  const key = `${partial ? 'partial' : 'exact'}:${route}`
+  return cache[key] || (cache[key] = { [MATCH]: toRoute(route, partial) })
+}
+
+// only the path of the route and how its params are decoded matter, not where
+// it redirects to, or its child routes
+const toRoute = (route: Route, partial: boolean): RouteObject => {
+  const routeObject: Object =
+    typeof route === 'object' ? route : { path: route }
+  const { redirect, aliases, routes, ...rest } = routeObject
+
+  return partial ? { ...rest, path: appendRest(rest.path) } : rest
+}
+
+const appendRest = (path: string | LocalizedPaths): string | LocalizedPaths => {
+  if (typeof path === 'string') return appendRestToPath(path)
+
+  const localized: LocalizedPaths = path
+  return Object.keys(localized).reduce((paths, locale) => {
+    paths[locale] = appendRestToPath(localized[locale])
+    return paths
+  }, {})
+}
+
+// '/user/:id' -> '/user/:id/:rfrRest*', which matches '/user/5' and '/user/5/edit'
+const appendRestToPath = (path: string): string =>
+  `${path.replace(/\/$/, '')}/:${REST_PARAM}*`
@@ -1,5 +1,12 @@
 // @flow
-import type { Action, Location, ReceivedAction, History } from '../flow-types'
+import stripBasename from './stripBasename'
+import type {
+  Action,
+  Location,
+  ReceivedAction,
+  History,
+  HistoryData
+} from '../flow-types'
 
 export default (
   pathname: string,
@@ -10,23 +17,30 @@ export default (
 ): Action => {
   const { type, payload = {}, meta = {} } = action
   const query = action.query || meta.query || payload.query
-  const parts = pathname.split('?')
+  const [pathAndSearch, hashInPath] = pathname.split('#')
+  const hash = hashInPath || action.hash || meta.hash
+  const parts = pathAndSearch.split('?')
   const search = parts[1]
+  const locale = meta.locale
 
   return {
     ...action,
     ...(action.query && { query }),
+    ...(action.hash ? { hash } : {}),
     type,
     payload,
     meta: {
       ...meta,
       ...(meta.query && { query }),
+      ...(meta.hash ? { hash } : {}),
       location: {
         current: {
           pathname: parts[0],
           type,
           payload,
-          ...(query && { query, search })
+          ...(query && { query, search }),
+          ...(hash ? { hash } : {}),
+          ...(locale ? { locale } : {})
         },
         prev,
         kind,
@@ -36,11 +50,27 @@ export default (
   }
 }
 
-export const nestHistory = (history: History) =>
-  (history.entries
+// browser histories have no `entries`, but the session history tracked for them
+// by `connectRoutes` does (see `createSessionHistory`). Like the rest of the location
+// state, their pathnames are free of the `basename` option
+export const nestHistory = (
+  history: History | HistoryData,
+  basename: ?string
+): ?HistoryData =>
+  history.entries
     ? {
       index: history.index,
       length: history.entries.length,
-      entries: history.entries.slice(0) // history.entries.map(entry => entry.pathname)
+      entries: basename
+        ? history.entries.map(entry => stripEntryBasename(entry, basename))
+        : history.entries.slice(0) // history.entries.map(entry => entry.pathname)
     }
-    : undefined)
+    : undefined
+
+export const stripEntryBasename = (
+  entry: Object,
+  basename: ?string
+): Object => ({
+  ...entry,
+  pathname: stripBasename(entry.pathname, basename)
+})
@@ -0,0 +1,115 @@
+// @flow
+import type { RouteObject, ParamType } from '../flow-types'
+
+const MAX_SAFE_INTEGER = 9007199254740991
+
+/** Built-in param types that can be declared per param in a route's `paramTypes`,
+ *  e.g. `{ path: '/user/:id/:zip', paramTypes: { id: 'int', zip: 'string' } }`.
+ *
+ *  `decode` returns `undefined` for path segments that aren't a valid value of the
+ *  type, in which case the route doesn't match.
+*/
+
+const int: ParamType = {
+  decode: value => {
+    const number = /^-?\d+$/.test(value) ? parseInt(value, 10) : NaN
+    return Math.abs(number) <= MAX_SAFE_INTEGER ? number : undefined
+  },
+  encode: value => String(value)
+}
+
+const float: ParamType = {
+  decode: value =>
+    /^-?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(value) &&
+    isFinite(parseFloat(value))
+      ? parseFloat(value)
+      : undefined,
+  encode: value => String(value)
+}
+
+const string: ParamType = {
+  decode: value => value,
+  encode: value => String(value)
+}
+
+const boolean: ParamType = {
+  decode: value => {
+    if (value === 'true') return true
+    if (value === 'false') return false
+    return undefined
+  },
+  encode: value => String(value)
+}
+
+// dates at midnight UTC are formatted without their time: '2017-07-31'
+const date: ParamType = {
+  decode: value => {
+    const date = /^\d{4}-\d{2}-\d{2}/.test(value) ? new Date(value) : null
+    return date && !isNaN(date.getTime()) ? date : undefined
+  },
+  encode: value => {
+    if (!(value instanceof Date)) return String(value)
+
+    const iso = value.toISOString()
+    return iso.indexOf('T00:00:00.000Z') === 10 ? iso.slice(0, 10) : iso
+  }
+}
+
+export const PARAM_TYPES = { int, float, string, boolean, date }
+
+export default (route: RouteObject, name: string | number): ?ParamType => {
+  const type = route.paramTypes && route.paramTypes[String(name)]
+
+  if (typeof type === 'string') {
+    if (!PARAM_TYPES[type]) {
+      throw new Error(
+        `[redux-first-router] unknown type '${type}' declared for param '${name}' of route ${JSON.stringify(route.path)}. Use 'int', 'float', 'string', 'boolean', 'date' or an object with \`decode\` and \`encode\` functions.`
+      )
+    }
+
+    return PARAM_TYPES[type]
+  }
+
+  return type
+}
+
+// types receive URI decoded segments, as values are URI encoded when compiled into
+// paths. Custom types may also throw to reject a value.
+export const decodeParam = (type: ParamType, segment: string): any => {
+  try {
+    return decode(type, decodeURIComponent(segment))
+  }
+  catch (e) {
+    return undefined
+  }
+}
+
+// values the type can't read back from the URL couldn't be matched, so they are refused
+export const encodeParam = (
+  type: ParamType,
+  value: any,
+  name: string | number
+): string => {
+  const encoded = type.encode(value)
+  let decoded
+
+  try {
+    decoded = decode(type, encoded)
+  }
+  catch (e) {
+    decoded = undefined
+  }
+
+  if (typeof decoded === 'undefined') {
+    throw new Error(
+      `[redux-first-router] invalid value for param '${name}': ${String(value)}`
+    )
+  }
+
+  return encoded
+}
+
+const decode = (type: ParamType, value: string): any => {
+  const decoded = type.decode(value)
+  return typeof decoded === 'number' && isNaN(decoded) ? undefined : decoded
+}
@@ -1,72 +1,138 @@
 // @flow
-import pathToRegexp from 'path-to-regexp'
 import { NOT_FOUND } from '../index'
-import objectValues from './objectValues'
-import type { RoutesMap, ReceivedAction, QuerySerializer } from '../flow-types'
+import { getMatcher } from './createMatcher'
+import getParamType, { decodeParam } from './paramTypes'
+import stripBasename from './stripBasename'
+import type {
+  RoutesMap,
+  Matcher,
+  CompiledRoute,
+  Route,
+  Payload,
+  ReceivedAction,
+  QuerySerializer
+} from '../flow-types'
 
 export default (
   pathname: string,
-  routesMap: RoutesMap,
-  serializer?: QuerySerializer
+  routesMap: RoutesMap | Matcher, // a matcher precompiled via `createMatcher(routesMap)` is fastest
+  serializer?: QuerySerializer,
+  basename?: string // the sub-path the app is mounted under, e.g. '/app'
 ): ReceivedAction => {
-  const parts = pathname.split('?')
+  pathname = stripBasename(pathname, basename)
+
+  const [pathAndSearch, hash] = pathname.split('#')
+  const parts = pathAndSearch.split('?')
   const search = parts[1]
   const query = search && serializer && serializer.parse(search)
-  const routes = objectValues(routesMap)
-  const routeTypes = Object.keys(routesMap)
+  const meta = { ...(query ? { query } : {}), ...(hash ? { hash } : {}) }
 
   pathname = parts[0]
 
-  let i = 0
-  let match
-  const keys = []
+  // the most specific matching route with valid params wins (nested `routes`
+  // are resolved relative to their parent)
+  const routes = getMatcher(routesMap).candidates(pathname)
+
+  for (let i = 0; i < routes.length; i++) {
+    const match = routes[i].regexp.exec(pathname)
+    const payload = match && _matchToPayload(routes[i], match)
+
+    if (payload) {
+      // the locale is detected from which of a route's localized paths matched
+      const { type, locale, alias, route } = routes[i]
+      const redirect = typeof route === 'object' && route.redirect
 
-  while (!match && i < routes.length) {
-    keys.length = 0 // empty the array and start over
-    const routePath = routes[i].path || routes[i] // route may be an object containing a route or a route string itself
-    const reg = pathToRegexp(routePath, keys)
-    match = reg.exec(pathname)
-    i++
+      if (alias || typeof redirect === 'string') {
+        // declared redirects and aliases resolve to the route they point to, as
+        // permanent redirects (the legacy path's params become its payload)
+        return {
+          type: typeof redirect === 'string' ? redirect : type,
+          payload,
+          meta: { ...meta, redirectStatus: 301, location: { kind: 'redirect' } }
+        }
+      }
+
+      return { type, payload, meta: locale ? { ...meta, locale } : meta }
+    }
   }
 
-  if (match) {
-    i--
+  // This will basically will only end up being called if the developer is manually calling history.push().
+  // Or, if visitors visit an invalid URL, the developer can use the NOT_FOUND type to show a not-found page to
+  return {
+    type: NOT_FOUND,
+    payload: {},
+    meta: { notFoundPath: pathname, ...meta }
+  }
+}
 
-    const capitalizedWords =
-      typeof routes[i] === 'object' && routes[i].capitalizedWords
-    const fromPath =
-      routes[i] &&
-      typeof routes[i].fromPath === 'function' &&
-      routes[i].fromPath
-    const type = routeTypes[i]
+// returns `null` when a param fails to decode as its declared type
+const _matchToPayload = (
+  { route, keys }: CompiledRoute,
+  match: Array<string>
+): ?Payload => {
+  const payload = {}
 
-    const payload = keys.reduce((payload, key, index) => {
-      let value = match && match[index + 1] // item at index 0 is the overall match, whereas those after correspond to the key's index
+  for (let index = 0; index < keys.length; index++) {
+    const key = keys[index]
+    const segment = match[index + 1] // item at index 0 is the overall match, whereas those after correspond to the key's index
 
-      value = typeof value === 'string' &&
-        !value.match(/^\s*$/) &&
-        !isNaN(value) // check that value is not a blank string, and is numeric
-        ? parseFloat(value) // make sure pure numbers aren't passed to reducers as strings
-        : value
+    // repeated params (`:path*`, `:path+`) become arrays: '/docs/api/v2' -> ['docs', 'api', 'v2']
+    const segments =
+      key.repeat && typeof segment === 'string'
+        ? segment.split(key.delimiter)
+        : [segment]
 
-      value = capitalizedWords && typeof value === 'string'
-        ? value.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase()) // 'my-category' -> 'My Category'
-        : value
+    const values = segments.map(segment => _segmentToValue(route, key, segment))
 
-      value = fromPath && typeof value === 'string'
-        ? fromPath(value, key.name)
-        : value
+    if (values.some(value => value === INVALID)) return null
 
-      payload[key.name] = value
+    payload[key.name] =
+      key.repeat && typeof segment === 'string' ? values : values[0]
+  }
+
+  return payload
+}
 
-      return payload
-    }, {})
+const INVALID = {} // marks segments that failed to decode as their declared type
 
-    return { type, payload, meta: query ? { query } : {} }
+const _segmentToValue = (route: Route, key: Object, segment: ?string): any => {
+  const type = typeof route === 'object' && getParamType(route, key.name)
+
+  if (type) {
+    // declared types replace all other conversions
+    if (typeof segment !== 'string') return segment
+
+    const decoded = decodeParam(type, segment)
+    return typeof decoded === 'undefined' ? INVALID : decoded
   }
 
-  // This will basically will only end up being called if the developer is manually calling history.push().
-  // Or, if visitors visit an invalid URL, the developer can use the NOT_FOUND type to show a not-found page to
-  const meta = { notFoundPath: pathname, ...(query ? { query } : {}) }
-  return { type: NOT_FOUND, payload: {}, meta }
+  const capitalizedWords = typeof route === 'object' && route.capitalizedWords
+  const fromPath =
+    typeof route === 'object' &&
+    typeof route.fromPath === 'function' &&
+    route.fromPath
+
+  let value: any = segment
+
+  value = isNumeric(value)
+    ? parseFloat(value) // make sure pure numbers aren't passed to reducers as strings
+    : value
+
+  value =
+    capitalizedWords && typeof value === 'string'
+      ? value.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase()) // 'my-category' -> 'My Category'
+      : value
+
+  value =
+    fromPath && typeof value === 'string' ? fromPath(value, key.name) : value
+
+  return value
 }
+
+// only numbers that survive the round trip back to the URL: not '01234', '1e3'
+// or ids above Number.MAX_SAFE_INTEGER, which would lose precision
+const isNumeric = (value: ?string): boolean =>
+  typeof value === 'string' &&
+  !value.match(/^\s*$/) && // check that value is not a blank string, and is numeric
+  !isNaN(value) &&
+  String(parseFloat(value)) === value
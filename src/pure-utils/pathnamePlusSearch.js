@@ -1,17 +1,27 @@
 // @flow
 type Location = {
   pathname: string,
-  search?: string
+  search?: string,
+  hash?: string
 }
 
-export default ({ pathname, search }: Location) => {
+export default ({ pathname, search, hash }: Location) => {
+  if (hash) {
+    if (hash.indexOf('#') !== 0) {
+      hash = `#${hash}`
+    }
+  }
+
   if (search) {
     if (search.indexOf('?') !== 0) {
       search = `?${search}`
     }
 
-    return `${pathname}${search}`
+    return `${pathname}${search}${hash || ''}`
   }
 
-  return pathname
+  return `${pathname}${hash || ''}`
 }
+
+// the path without its `#hash`, to tell if only the hash changed
+export const stripHash = (path: string): string => path.split('#')[0]
@@ -0,0 +1,166 @@
+// @flow
+import pathToRegexp from 'path-to-regexp'
+import type { RoutesMap, Route, CompiledRoute } from '../flow-types'
+
+export type RankedRoute = {
+  type: string,
+  route: Route,
+  path: string,
+  locale?: string,
+  alias?: boolean
+}
+
+// segment scores: static segments beat params, params beat wildcards
+const STATIC = 4
+const CONSTRAINED_PARAM = 3 // e.g. `:id(\\d+)`
+const PARAM = 2
+const OPTIONAL_PARAM = 1
+const WILDCARD = 0 // e.g. `*`, `(.*)`, `:rest+`
+
+/** Orders the routes of a routesMap by which should be matched first:
+ *  routes with a higher `priority` come first, then the most specific routes,
+ *  and finally insertion order. So `/users/new` is matched before `/users/:id`
+ *  regardless of which was declared first.
+ *
+ *  Routes with localized paths (`{ en: '/products', de: '/produkte' }`) are ranked
+ *  once per locale, and the `aliases` of routes like any other path.
+*/
+
+export default (routesMap: RoutesMap): Array<RankedRoute> =>
+  Object.keys(routesMap)
+    .reduce((ranked, type) => {
+      const route = routesMap[type]
+      const priority = (typeof route === 'object' && route.priority) || 0
+
+      getPaths(route).forEach(({ path, locale, alias }) => {
+        const index = ranked.length
+        const score = scorePath(path)
+        const rank = { priority, index, score }
+        ranked.push({ type, route, path, locale, alias, ...rank })
+      })
+
+      return ranked
+    }, [])
+    .sort(compareRoutes)
+    .map(({ type, route, path, locale, alias }) => ({
+      type,
+      route,
+      path,
+      ...(locale ? { locale } : {}),
+      ...(alias ? { alias } : {})
+    }))
+
+const getPaths = (
+  route: Route
+): Array<{ path: string, locale?: string, alias?: boolean }> => {
+  const path = typeof route === 'object' ? route.path : route
+  const aliases = (typeof route === 'object' && route.aliases) || []
+
+  const paths =
+    typeof path === 'object'
+      ? Object.keys(path).map(locale => ({ path: path[locale], locale }))
+      : [{ path }]
+
+  return paths.concat(aliases.map(alias => ({ path: alias, alias: true })))
+}
+
+const compareRoutes = (a: Object, b: Object): number =>
+  b.priority - a.priority ||
+  compareScores(a.score, b.score) ||
+  a.index - b.index
+
+// the first segment that differs decides; when one path is a prefix of the
+// other, the one with more segments is the more specific one
+const compareScores = (a: Array<number>, b: Array<number>): number => {
+  const length = Math.min(a.length, b.length)
+
+  for (let i = 0; i < length; i++) {
+    if (a[i] !== b[i]) return b[i] - a[i]
+  }
+
+  return b.length - a.length
+}
+
+const scorePath = (path: string): Array<number> =>
+  pathToRegexp.parse(path).reduce((score, token) => {
+    if (typeof token === 'string') {
+      token
+        .split('/')
+        .filter(segment => segment)
+        .forEach(() => score.push(STATIC))
+    }
+    else if (
+      token.asterisk ||
+      token.repeat ||
+      /^\.[*+]$/.test(token.pattern)
+    ) {
+      score.push(WILDCARD)
+    }
+    else if (token.optional) {
+      score.push(OPTIONAL_PARAM)
+    }
+    else if (!/^\[\^.+\]\+\?$/.test(token.pattern)) {
+      score.push(CONSTRAINED_PARAM)
+    }
+    else {
+      score.push(PARAM)
+    }
+
+    return score
+  }, [])
+
+/** DEV ONLY: warns about routes that can never be matched, because a route ranked
+ *  before them already matches their paths, e.g. `/users/:name` declared after
+ *  `/users/:id`, or `/users/new` when `/users/:id` has a higher `priority`.
+ *
+ *  It reuses the regexps the matcher already compiled, and checks each matcher only
+ *  once, as `connectRoutes` may be called with the same routesMap on every request.
+*/
+
+const checked = typeof WeakMap === 'function' ? new WeakMap() : null
+
+export const warnShadowedRoutes = (
+  compiledRoutes: $ReadOnlyArray<CompiledRoute>
+) => {
+  if (checked) {
+    if (checked.get(compiledRoutes)) return
+    checked.set(compiledRoutes, true)
+  }
+
+  compiledRoutes.forEach((route, index) => {
+    const samplePath = createSamplePath(route)
+    if (!samplePath) return
+
+    // locales of the same route may share a path, e.g. `{ en: '/faq', fr: '/faq' }`
+    const shadowing = compiledRoutes
+      .slice(0, index)
+      .find(
+        compiled =>
+          compiled.type !== route.type && compiled.regexp.test(samplePath)
+      )
+
+    if (shadowing) {
+      const { type, path } = route
+
+      console.warn(
+        `[redux-first-router] route "${type}" ('${path}') can never match because it is shadowed by route "${shadowing.type}" ('${shadowing.path}'). Reorder them or give "${type}" a higher \`priority\`.`
+      )
+    }
+  })
+}
+
+// fill each param with a value unlikely to satisfy the custom patterns of other routes
+const createSamplePath = ({ keys, toPath }: CompiledRoute): ?string => {
+  const params = keys.reduce((params, key, index) => {
+    const value = `~rfr${index}~`
+    params[key.name] = key.repeat ? [value] : value
+    return params
+  }, {})
+
+  try {
+    return toPath(params)
+  }
+  catch (e) {
+    return null // the route has params with custom patterns that can't be sampled
+  }
+}
@@ -0,0 +1,46 @@
+// @flow
+import { HEAD_ATTRIBUTE } from './changeHead'
+import type { Head } from '../flow-types'
+
+/** Renders the `<title>`, `<meta>` and canonical `<link>` tags of a `Head`, e.g.
+ *  the one returned by `selectHead(store.getState())` on the server, for your HTML
+ *  template. They are marked so the client takes them over on later route changes.
+*/
+
+export default (head: Head): string => {
+  const { title, canonical, ...meta } = head
+  const tags = []
+
+  if (typeof title === 'string') {
+    tags.push(`<title>${escape(title)}</title>`)
+  }
+
+  Object.keys(meta).forEach(name => {
+    const content = meta[name]
+
+    if (typeof content === 'string') {
+      tags.push(
+        `<meta name="${escape(name)}" content="${escape(content)}" ${HEAD_ATTRIBUTE}>`
+      )
+    }
+  })
+
+  if (typeof canonical === 'string') {
+    tags.push(
+      `<link rel="canonical" href="${escape(canonical)}" ${HEAD_ATTRIBUTE}>`
+    )
+  }
+
+  return tags.join('\n')
+}
+
+const ESCAPED = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+}
+
+const escape = (value: string): string =>
+  value.replace(/[&<>"']/g, char => ESCAPED[char])
@@ -0,0 +1,17 @@
+// @flow
+import type { Document } from '../flow-types'
+
+// scrolls to the element whose id (or name, for <a name="...">) is the hash
+export default (doc: Document, hash: ?string): boolean => {
+  const element =
+    hash &&
+    typeof doc.getElementById === 'function' &&
+    (doc.getElementById(hash) || doc.getElementsByName(hash)[0])
+
+  if (element) {
+    element.scrollIntoView()
+    return true
+  }
+
+  return false
+}
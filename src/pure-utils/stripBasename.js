@@ -0,0 +1,33 @@
+// @flow
+
+// '/app/' -> '/app', 'app' -> '/app'
+const normalize = (basename: ?string): string => {
+  if (!basename || basename === '/') return ''
+
+  basename = basename.replace(/\/$/, '')
+  return basename.indexOf('/') === 0 ? basename : `/${basename}`
+}
+
+/** Removes the `basename` option an app is mounted under from paths coming from the
+ *  address bar: with basename '/app', '/app/users/1?foo=bar' -> '/users/1?foo=bar'.
+ *  Paths that don't start with the basename are returned as is.
+*/
+
+export default (path: string, basename: ?string): string => {
+  basename = normalize(basename)
+  if (!basename || path.indexOf(basename) !== 0) return path
+
+  const rest = path.slice(basename.length)
+
+  if (!rest) return '/'
+  if (rest[0] === '/') return rest
+  if (rest[0] === '?' || rest[0] === '#') return `/${rest}`
+
+  return path // e.g. '/application' isn't under '/app'
+}
+
+// the inverse, for paths going to the address bar: '/users/1' -> '/app/users/1'
+export const prependBasename = (path: string, basename: ?string): string => {
+  basename = normalize(basename)
+  return basename ? `${basename}${path}` : path
+}
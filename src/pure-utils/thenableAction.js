@@ -0,0 +1,38 @@
+// @flow
+import type { Action, ThenableAction } from '../flow-types'
+
+/** Route actions are still returned from `dispatch` like before, so existing callers
+ *  keep working, but can be awaited too: `then` and `catch` are added to a copy of
+ *  the action as non-enumerable keys, so it still serializes and compares like it.
+ *
+ *  The promise of the route change only rejects for callers calling `then`/`catch`,
+ *  so the route changes the router dispatches itself (e.g. on browser back/next)
+ *  don't cause unhandled rejections. Their thunk errors are in the location state.
+*/
+
+export default (
+  action: Action,
+  routeChange: ?Action | Promise<?Action>
+): ThenableAction => {
+  const settled: Promise<Object> = Promise.resolve(routeChange).then(
+    dispatched => ({ dispatched }),
+    error => ({ error, rejected: true })
+  )
+
+  const promise = (): Promise<?Action> =>
+    settled.then(
+      ({ dispatched, error, rejected }) =>
+        rejected ? Promise.reject(error) : dispatched
+    )
+
+  const thenable: Object = { ...action }
+
+  Object.defineProperty(thenable, 'then', {
+    value: (onFulfilled, onRejected) => promise().then(onFulfilled, onRejected)
+  })
+  Object.defineProperty(thenable, 'catch', {
+    value: onRejected => promise().catch(onRejected)
+  })
+
+  return thenable
+}
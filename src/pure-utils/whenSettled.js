@@ -0,0 +1,8 @@
+// @flow
+
+// calls `callback` with `value`, or with what it resolves to if it's a promise, so
+// hooks can be async without making the common sync case async as well
+export default (value: any, callback: (value: any) => any): any =>
+  value && typeof value.then === 'function'
+    ? value.then(callback)
+    : callback(value)
@@ -1,13 +1,22 @@
 // @flow
-import { NOT_FOUND } from '../index'
+import {
+  NOT_FOUND,
+  ROUTE_THUNK_START,
+  ROUTE_THUNK_SUCCESS,
+  ROUTE_THUNK_ERROR
+} from '../index'
 import isServer from '../pure-utils/isServer'
+import { willCallRouteThunk } from '../pure-utils/attemptCallRouteThunk'
 import { nestHistory } from '../pure-utils/nestAction'
 import type {
   LocationState,
+  Location,
   RoutesMap,
+  Route,
   Action,
   Payload,
-  History
+  History,
+  HistoryData
 } from '../flow-types'
 
 export default (initialState: LocationState, routesMap: RoutesMap) => (
@@ -19,46 +28,134 @@ export default (initialState: LocationState, routesMap: RoutesMap) => (
     (routesMap[action.type] &&
       (action.meta.location.current.pathname !== state.pathname ||
         action.meta.location.current.search !== state.search ||
+        action.meta.location.current.hash !== state.hash ||
+        action.meta.location.current.locale !== state.locale ||
         action.meta.location.kind === 'load'))
   ) {
     const query = action.meta.location.current.query
     const search = action.meta.location.current.search
+    const hash = action.meta.location.current.hash
+    const locale = action.meta.location.current.locale
+    const parents = getParents(routesMap, action.type)
+    const kind = action.meta.location.kind
+    const { redirectStatus } = action.meta
+    const pathname = action.meta.location.current.pathname
+    const route = routesMap[action.type]
 
     return {
-      pathname: action.meta.location.current.pathname,
+      pathname,
       type: action.type,
       payload: { ...action.payload },
       ...(query && { query, search }),
+      ...(hash ? { hash } : {}),
+      ...(locale ? { locale } : {}),
+      ...(parents && { parents }),
+      ...getRouteStatus(state, route, kind, {
+        pathname,
+        type: action.type,
+        payload: action.payload
+      }),
       prev: action.meta.location.prev,
-      kind: action.meta.location.kind,
+      kind,
+      // 301 for redirects declared in the routesMap, e.g. for the server's response
+      ...(kind === 'redirect' && redirectStatus ? { redirectStatus } : {}),
       history: action.meta.location.history,
       hasSSR: state.hasSSR,
       routesMap
     }
   }
+  else if (action.type === ROUTE_THUNK_START) {
+    if (
+      state.status === 'pending' &&
+      isPending(state, action.payload.location)
+    ) {
+      return state // already set by the route action
+    }
+
+    const { pending, error, ...location } = state
+    return { ...location, status: 'pending', pending: action.payload.location }
+  }
+  else if (
+    (action.type === ROUTE_THUNK_SUCCESS ||
+      action.type === ROUTE_THUNK_ERROR) &&
+    isPending(state, action.payload.location) // not the thunk of an earlier route
+  ) {
+    const { pending, error, ...location } = state
+
+    return action.type === ROUTE_THUNK_SUCCESS
+      ? { ...location, status: 'ready' }
+      : { ...location, status: 'error', error: action.payload.error }
+  }
 
   return state
 }
 
 export const getInitialState = (
   currentPathname: string,
-  meta: ?{ search?: string, query?: Object },
+  meta: ?{ search?: string, query?: Object, hash?: string, locale?: string },
   type: string,
   payload: Payload,
   routesMap: RoutesMap,
-  history: History
-): LocationState => ({
-  pathname: currentPathname.split('?')[0],
-  type,
-  payload,
-  ...meta,
-  prev: {
-    pathname: '',
-    type: '',
-    payload: {}
-  },
-  kind: undefined,
-  history: nestHistory(history),
-  hasSSR: isServer() ? true : undefined, // client uses initial server `hasSSR` state setup here
-  routesMap
+  history: History | HistoryData,
+  basename?: string
+): LocationState => {
+  const parents = getParents(routesMap, type)
+
+  // only the parts of the URL: `meta` may also have keys for the initial action,
+  // e.g. the `location.kind` and `redirectStatus` of aliases and declared redirects
+  const { query, search, hash, locale } = meta || {}
+
+  return {
+    pathname: currentPathname.split(/[?#]/)[0],
+    type,
+    payload,
+    ...(query ? { query } : {}),
+    ...(search ? { search } : {}),
+    ...(hash ? { hash } : {}),
+    ...(locale ? { locale } : {}),
+    ...(parents && { parents }),
+    status: 'ready',
+    prev: {
+      pathname: '',
+      type: '',
+      payload: {}
+    },
+    kind: undefined,
+    history: nestHistory(history, basename),
+    hasSSR: isServer() ? true : undefined, // client uses initial server `hasSSR` state setup here
+    routesMap
+  }
+}
+
+// the thunk of the route isn't called again when only the `#hash` changed, and
+// routes whose thunk is called are 'pending' right away (rather than 'ready' until
+// `ROUTE_THUNK_START`), so UIs don't flash while their data is missing
+const getRouteStatus = (
+  state: LocationState,
+  route: Route,
+  kind: ?string,
+  location: Location
+) => {
+  if (kind === 'hash') return getStatus(state)
+
+  return willCallRouteThunk(route, kind, state.hasSSR)
+    ? { status: 'pending', pending: location }
+    : { status: 'ready' }
+}
+
+const getStatus = ({ status, pending, error }: LocationState) => ({
+  status,
+  ...(pending ? { pending } : {}),
+  ...(typeof error !== 'undefined' ? { error } : {})
 })
+
+const isPending = ({ pending }: LocationState, location: Location): boolean =>
+  !!pending &&
+  pending.pathname === location.pathname &&
+  pending.type === location.type
+
+// the chain of parent types of nested routes, so layouts can tell which section is active
+const getParents = (routesMap: RoutesMap, type: string): ?Array<string> => {
+  const route = routesMap[type]
+  return typeof route === 'object' ? route.parents : undefined
+}
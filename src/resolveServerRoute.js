@@ -0,0 +1,107 @@
+// @flow
+import createMemoryHistory from 'history/createMemoryHistory'
+import connectRoutes from './connectRoutes'
+import { NOT_FOUND } from './index'
+import pathnamePlusSearch from './pure-utils/pathnamePlusSearch'
+import stripBasename, { prependBasename } from './pure-utils/stripBasename'
+import type {
+  RoutesMap,
+  Options,
+  Store,
+  ServerRoute,
+  SelectLocationState
+} from './flow-types'
+
+/** Resolves the route of a server request in one step: creates a memory history for
+ *  the `url`, connects the `routesMap` to the store returned by your `createStore`,
+ *  dispatches the initial route (calling `onBeforeChange` and route guards), awaits
+ *  route thunks while following the redirects they dispatch (rejecting when redirects
+ *  go in circles), and returns:
+ *
+ *  - `status`: the redirect's status (301 for redirects declared in the routesMap,
+ *    302 otherwise), 404 for `NOT_FOUND`, or 200
+ *  - `redirectUrl`: the URL to redirect to, if any
+ *  - `store`: to render your app with
+ *  - `title`: the page title of the route (see the route `title` option)
+ *  - `head`: its title and head metadata, for `renderHead()`
+ *
+ *  `createStore` receives what `connectRoutes` returns (`reducer`, `middleware`,
+ *  `enhancer`, etc.) and returns your store, or a promise of it.
+*/
+
+type ServerRouteOptions = {
+  url: string,
+  routesMap: RoutesMap,
+  options?: Options,
+  createStore: (router: Object) => Store | Promise<Store>
+}
+
+export default ({
+  url,
+  routesMap,
+  options = {},
+  createStore
+}: ServerRouteOptions): Promise<ServerRoute> => {
+  const history = createMemoryHistory({ initialEntries: [url] })
+  const router = connectRoutes(history, routesMap, {
+    ...options,
+    initialDispatch: false // dispatched below, so async guards can be awaited
+  })
+  const { selectLocationState } = router
+  const { basename } = options
+  // decoded like the location state's pathname, unlike the raw `url`
+  const requestedPathname = stripBasename(history.location.pathname, basename)
+
+  return Promise.resolve(createStore(router)).then(store =>
+    Promise.resolve(router.initialDispatch())
+      .then(() => awaitThunks(store, router.thunk, selectLocationState, []))
+      .then(() => {
+        const state = store.getState()
+        const location = selectLocationState(state)
+        const redirected =
+          location.kind === 'redirect' ||
+          location.pathname !== requestedPathname
+        const redirectUrl = redirected
+          ? prependBasename(pathnamePlusSearch(location), basename)
+          : undefined
+
+        const status = redirectUrl
+          ? location.redirectStatus || 302
+          : location.type === NOT_FOUND ? 404 : 200
+
+        const head = router.selectHead(state)
+        return { status, redirectUrl, store, title: head.title, head }
+      })
+  )
+}
+
+// route thunks that redirect to another route have its thunk awaited as well,
+// until a route doesn't redirect. Revisiting a path means they redirect in circles
+const awaitThunks = (
+  store: Store,
+  thunk: (store: Store) => Promise<*>,
+  selectLocationState: SelectLocationState,
+  visited: Array<string>
+): Promise<void> => {
+  const path = pathnamePlusSearch(selectLocationState(store.getState()))
+
+  if (visited.indexOf(path) !== -1) {
+    const loop = visited.concat(path).join(' -> ')
+    return Promise.reject(
+      new Error(`[redux-first-router] redirect loop detected: ${loop}`)
+    )
+  }
+
+  return thunk(store).then(() => {
+    const nextPath = pathnamePlusSearch(selectLocationState(store.getState()))
+
+    if (nextPath !== path) {
+      return awaitThunks(
+        store,
+        thunk,
+        selectLocationState,
+        visited.concat(path)
+      )
+    }
+  })
+}
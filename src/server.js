@@ -0,0 +1,8 @@
+// @flow
+
+// the server entry (`redux-first-router/server`), so the memory history
+// `resolveServerRoute` creates isn't bundled with client code importing the main entry
+export { default as resolveServerRoute } from './resolveServerRoute'
+export { default as renderHead } from './pure-utils/renderHead'
+
+export type { ServerRoute, Head } from './flow-types'